@@ -1,9 +1,36 @@
+// Weather fields sent to NMEA2000 / NMEA 0183 and the SignalK paths onboard sensors publish them on
+const SENSOR_FIELD_PATHS = {
+  temperature: 'environment.outside.temperature',
+  humidity: 'environment.outside.relativeHumidity',
+  pressure: 'environment.outside.pressure',
+  windSpeed: 'environment.wind.speedOverGround',
+  windDirection: 'environment.wind.directionTrue',
+  windGust: 'environment.wind.speedGust',
+  dewPoint: 'environment.outside.dewPointTemperature',
+  apparentWindSpeed: 'environment.wind.speedApparent',
+  apparentWindAngle: 'environment.wind.angleApparent',
+  trueWindSpeedWater: 'environment.wind.speedTrue',
+  trueWindAngleWater: 'environment.wind.angleTrueWater',
+};
+
 module.exports = (app) => {
   let timers = [];
   let weatherService = null;
   let pathMapper = null;
+  let locationMapper = null;
+  let n2kEncoder = null;
+  let nmea0183Encoder = null;
   let lastWeatherData = {};
   let emissionTimer = null;
+  let lastForecastTimestamp = null;
+  let activeAlerts = new Map();
+  let lastPressureDropState = 'normal';
+  let lastRouteForecastTimestamp = null;
+  let lastRouteWindState = 'normal';
+  let lastLocationUpdates = new Map();
+  let outputSettings = {};
+  let staleDataReported = false;
+  let sensorOwnedPaths = new Set();
 
   const plugin = {
     id: 'signalk-n2k-weather-provider',
@@ -13,16 +40,76 @@ module.exports = (app) => {
       app.debug('Plugin starting with settings:', JSON.stringify(settings, null, 2));
 
       try {
-        // Simplified settings structure for AccuWeather only
         const flattenedSettings = {
+          // Weather data source
+          weatherProvider: settings.weatherProvider ?? 'accuweather',
+          // Ordered provider list - falls back to weatherProvider when empty
+          providers: settings.providers ?? [],
+          aggregationMode: settings.aggregationMode ?? 'failover',
           // AccuWeather API
           accuWeatherApiKey: settings.accuWeatherApiKey ?? '',
-          // Update settings - 5 minutes default for AccuWeather
+          // NWS observations older than this (minutes) are skipped
+          nwsMaxObservationAge: settings.nwsMaxObservationAge ?? 90,
+          // AIS weather stations - search radius in nm and maximum reading age in minutes
+          aisStationRadius: settings.aisStationRadius ?? 10,
+          aisStationMaxAge: settings.aisStationMaxAge ?? 30,
+          // AccuWeather calls per UTC day - the free tier allows 50
+          accuWeatherDailyLimit: settings.accuWeatherDailyLimit ?? 50,
+          // HTTP resilience - per-request timeout and retries for server and network errors
+          requestTimeout: settings.requestTimeout ?? 15,
+          requestRetries: settings.requestRetries ?? 2,
+          // Update settings - 5 minutes default suits AccuWeather API limits
           updateFrequency: settings.updateFrequency ?? 5,
+          // Motion-aware scheduling - early refetch after moving, back off at anchor
+          minUpdateInterval: settings.minUpdateInterval ?? 2,
+          maxUpdateInterval: settings.maxUpdateInterval ?? 60,
+          refetchDistance: settings.refetchDistance ?? 5,
+          // Forecasts - hourly polling by default to save API calls
+          enableForecasts: settings.enableForecasts ?? false,
+          forecastFrequency: settings.forecastFrequency ?? 60,
+          // Severe weather alerts
+          enableAlerts: settings.enableAlerts ?? false,
+          alertFrequency: settings.alertFrequency ?? 15,
+          // Weather along the active route at each waypoint's ETA
+          enableRouteForecast: settings.enableRouteForecast ?? false,
+          routeForecastFrequency: settings.routeForecastFrequency ?? 30,
+          routeMaxWaypoints: settings.routeMaxWaypoints ?? 5,
+          routeWindLimit: settings.routeWindLimit ?? 25,
+          routeGustLimit: settings.routeGustLimit ?? 35,
+          // Storm warning thresholds - pressure drop in hPa over 3 hours
+          pressureDropWarning: settings.pressureDropWarning ?? 4,
+          pressureDropAlarm: settings.pressureDropAlarm ?? 6,
+          // Weather history - 0 disables
+          historyRetentionDays: settings.historyRetentionDays ?? 30,
+          // Record raw API responses for the replay provider (fixtures default to <data dir>/recordings)
+          recordResponses: settings.recordResponses ?? false,
+          fixtureDirectory: settings.fixtureDirectory ?? '',
+          replaySpeed: settings.replaySpeed ?? 1,
+          // SignalK Weather API provider registration
+          registerWeatherApi: settings.registerWeatherApi ?? true,
+          // Output mode - 'always' publishes every path, 'gapFill' skips paths with live sensors
+          outputMode: settings.outputMode ?? 'always',
+          sensorTimeout: settings.sensorTimeout ?? 30,
+          // Stale data policy - 'null', 'omit' or 'defaults' once data exceeds maxDataAge minutes
+          stalePolicy: settings.stalePolicy ?? 'null',
+          maxDataAge: settings.maxDataAge ?? 30,
+          // Output path profile and per-path overrides (disable or rename)
+          pathProfile: settings.pathProfile ?? 'instrument',
+          pathOverrides: settings.pathOverrides ?? [],
+          // Direct NMEA2000 output as canboat JSON PGNs
+          enableN2kOutput: settings.enableN2kOutput ?? false,
+          n2kTemperatureInstance: settings.n2kTemperatureInstance ?? 0,
+          n2kHumidityInstance: settings.n2kHumidityInstance ?? 0,
+          n2kPressureInstance: settings.n2kPressureInstance ?? 0,
+          n2kSourceAddress: settings.n2kSourceAddress ?? null,
+          // NMEA 0183 sentence output
+          enableNmea0183Output: settings.enableNmea0183Output ?? false,
+          nmea0183TalkerId: settings.nmea0183TalkerId ?? 'WI',
+          nmea0183Sentences: settings.nmea0183Sentences ?? ['MWV', 'MWD', 'MDA', 'XDR'],
           // Position settings
           useVesselPosition: settings.useVesselPosition ?? true,
-          manualLatitude: settings.manualLatitude ?? 0,
-          manualLongitude: settings.manualLongitude ?? 0,
+          // Named fixed locations - the first one stands in for the vessel without GPS
+          locations: getLocations(settings),
         };
 
         app.debug(
@@ -30,24 +117,94 @@ module.exports = (app) => {
           JSON.stringify(flattenedSettings, null, 2)
         );
 
+        outputSettings = {
+          outputMode: flattenedSettings.outputMode,
+          sensorTimeout: flattenedSettings.sensorTimeout,
+          stalePolicy: flattenedSettings.stalePolicy,
+          maxDataAge: flattenedSettings.maxDataAge,
+        };
+
         // Initialize weather service
         const WeatherService = require('../src/weather-service');
         weatherService = new WeatherService(app, flattenedSettings, app.debug);
 
         // Initialize NMEA2000 path mapper
         const NMEA2000PathMapper = require('../src/nmea2000-paths');
-        pathMapper = new NMEA2000PathMapper(app.debug);
+        const { createPathMap } = require('../src/path-profiles');
+        pathMapper = new NMEA2000PathMapper(app.debug, {
+          stalePolicy: flattenedSettings.stalePolicy,
+          pathMap: createPathMap(flattenedSettings.pathProfile, flattenedSettings.pathOverrides),
+        });
+        // Fixed locations have no onboard sensors to defer to: canonical paths, no empty values
+        locationMapper = new NMEA2000PathMapper(app.debug, { stalePolicy: 'omit' });
+
+        // Initialize direct NMEA2000 PGN output
+        if (flattenedSettings.enableN2kOutput) {
+          const NMEA2000Encoder = require('../src/nmea2000-encoder');
+          n2kEncoder = new NMEA2000Encoder(
+            {
+              temperatureInstance: flattenedSettings.n2kTemperatureInstance,
+              humidityInstance: flattenedSettings.n2kHumidityInstance,
+              pressureInstance: flattenedSettings.n2kPressureInstance,
+              sourceAddress: flattenedSettings.n2kSourceAddress,
+            },
+            app.debug
+          );
+        }
 
-        // Start weather data collection from AccuWeather
-        // Initialize weather service first
+        // Initialize NMEA 0183 sentence output
+        if (flattenedSettings.enableNmea0183Output) {
+          const NMEA0183Encoder = require('../src/nmea0183-encoder');
+          nmea0183Encoder = new NMEA0183Encoder(
+            {
+              talkerId: flattenedSettings.nmea0183TalkerId,
+              sentences: flattenedSettings.nmea0183Sentences,
+            },
+            app.debug
+          );
+        }
+
+        // Serve the SignalK Weather API (server 2.x) from the same providers
+        if (
+          flattenedSettings.registerWeatherApi &&
+          typeof app.registerWeatherProvider === 'function'
+        ) {
+          const { createWeatherApiProvider } = require('../src/weather-api-provider');
+          app.registerWeatherProvider(
+            createWeatherApiProvider(
+              weatherService.lookupAggregator,
+              { cacheTtl: flattenedSettings.updateFrequency * 60 * 1000 },
+              app.debug
+            )
+          );
+          app.debug('Registered as SignalK Weather API provider');
+        }
+
+        // Start weather data collection from the configured provider
         weatherService.start();
 
-        // Fetch initial data after 5 seconds
-        setTimeout(() => {
-          weatherService.updateWeatherData().catch((error) => {
-            app.debug('Initial weather fetch failed:', error);
-          });
+        // Fetch initial data after 5 seconds (cleared with the other timers on stop)
+        // The schedule skips this fetch when a warm-started observation is still current
+        const initialFetchTimer = setTimeout(() => {
+          weatherService.checkFetchSchedule();
+          weatherService.checkLocationSchedule();
+          if (flattenedSettings.enableAlerts) {
+            weatherService.updateAlertData().catch((error) => {
+              app.debug('Initial alert fetch failed:', error);
+            });
+          }
+          if (flattenedSettings.enableForecasts) {
+            weatherService.updateForecastData().catch((error) => {
+              app.debug('Initial forecast fetch failed:', error);
+            });
+          }
+          if (flattenedSettings.enableRouteForecast) {
+            weatherService.updateRouteForecast().catch((error) => {
+              app.debug('Initial route forecast failed:', error);
+            });
+          }
         }, 5000);
+        timers.push(initialFetchTimer);
 
         // Start 5-second emission timer for real-time NMEA2000 data
         emissionTimer = setInterval(() => {
@@ -83,9 +240,19 @@ module.exports = (app) => {
             weatherService.stop();
             weatherService = null;
           }
+          n2kEncoder = null;
+          nmea0183Encoder = null;
 
           // Clear cached data
           lastWeatherData = {};
+          lastForecastTimestamp = null;
+          activeAlerts = new Map();
+          lastPressureDropState = 'normal';
+          lastRouteForecastTimestamp = null;
+          lastRouteWindState = 'normal';
+          lastLocationUpdates = new Map();
+          sensorOwnedPaths = new Set();
+          staleDataReported = false;
 
           app.setPluginStatus('Stopped');
           app.debug('Plugin stopped successfully');
@@ -97,83 +264,780 @@ module.exports = (app) => {
       });
     },
 
+    registerWithRouter: (router) => {
+      // Latest weather data with its age
+      router.get('/current', (_req, res) => {
+        if (!weatherService) {
+          res.status(503).json({ error: 'Plugin is not running' });
+          return;
+        }
+
+        const lastUpdate = weatherService.lastUpdate;
+        res.json({
+          data: weatherService.getCurrentWeatherData(),
+          lastUpdate: lastUpdate ? lastUpdate.toISOString() : null,
+          ageSeconds: lastUpdate ? Math.floor((Date.now() - lastUpdate.getTime()) / 1000) : null,
+        });
+      });
+
+      // Provider health, last error, next scheduled fetch and vessel data completeness
+      router.get('/status', (_req, res) => {
+        if (!weatherService) {
+          res.status(503).json({ error: 'Plugin is not running' });
+          return;
+        }
+
+        res.json(weatherService.getStatus());
+      });
+
+      // Fetch weather data immediately
+      router.post('/refresh', async (_req, res) => {
+        if (!weatherService) {
+          res.status(503).json({ error: 'Plugin is not running' });
+          return;
+        }
+
+        await weatherService.updateWeatherData();
+        const lastUpdate = weatherService.lastUpdate;
+        res.status(weatherService.lastError ? 502 : 200).json({
+          data: weatherService.getCurrentWeatherData(),
+          lastUpdate: lastUpdate ? lastUpdate.toISOString() : null,
+          lastError: weatherService.lastError,
+        });
+      });
+
+      // Time series of one weather field, e.g. /history?field=pressure&from=...&interval=600
+      router.get('/history', async (req, res) => {
+        if (!weatherService) {
+          res.status(503).json({ error: 'Plugin is not running' });
+          return;
+        }
+
+        const { field } = req.query;
+        const to = req.query.to ? new Date(req.query.to) : new Date();
+        const from = req.query.from
+          ? new Date(req.query.from)
+          : new Date(to.getTime() - 24 * 60 * 60 * 1000);
+        const interval = req.query.interval ? Number(req.query.interval) : 0;
+
+        if (!field) {
+          res.status(400).json({ error: 'Missing required query parameter: field' });
+          return;
+        }
+        if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime()) || from > to) {
+          res.status(400).json({ error: 'Invalid from/to time range' });
+          return;
+        }
+        if (!Number.isFinite(interval) || interval < 0) {
+          res.status(400).json({ error: 'Invalid interval' });
+          return;
+        }
+
+        try {
+          const values = await weatherService.queryHistory(field, from, to, interval);
+          res.json({
+            field,
+            from: from.toISOString(),
+            to: to.toISOString(),
+            interval,
+            values,
+          });
+        } catch (error) {
+          app.debug('Error querying weather history:', error);
+          res.status(500).json({ error: error.message });
+        }
+      });
+    },
+
     schema: () => {
       return {
         type: 'object',
         properties: {
+          weatherProvider: {
+            type: 'string',
+            title: 'Weather Provider',
+            description:
+              'Source of weather data. Open-Meteo and NWS (US only) do not require an API key; AIS uses nearby weather stations received over AIS; Replay serves recorded responses offline',
+            enum: ['accuweather', 'open-meteo', 'nws', 'ais', 'replay'],
+            enumNames: [
+              'AccuWeather',
+              'Open-Meteo',
+              'NOAA/NWS (US only)',
+              'AIS weather stations',
+              'Replay recording',
+            ],
+            default: 'accuweather',
+          },
+          providers: {
+            type: 'array',
+            title: 'Provider Priority List',
+            description:
+              'Query several providers in order. Leave empty to use only the weather provider above. Put AIS first to prefer nearby stations over internet sources',
+            default: [],
+            items: {
+              type: 'object',
+              required: ['provider'],
+              properties: {
+                provider: {
+                  type: 'string',
+                  title: 'Provider',
+                  enum: ['accuweather', 'open-meteo', 'nws', 'ais'],
+                  enumNames: [
+                    'AccuWeather',
+                    'Open-Meteo',
+                    'NOAA/NWS (US only)',
+                    'AIS weather stations',
+                  ],
+                  default: 'open-meteo',
+                },
+                weight: {
+                  type: 'number',
+                  title: 'Blend Weight',
+                  description: 'Relative weight of this provider in blend mode',
+                  default: 1,
+                  minimum: 0,
+                },
+              },
+            },
+          },
+          aggregationMode: {
+            type: 'string',
+            title: 'Aggregation Mode',
+            description:
+              'Failover uses the first healthy provider; blend combines all providers by weight',
+            enum: ['failover', 'blend'],
+            enumNames: ['Failover', 'Blend'],
+            default: 'failover',
+          },
           accuWeatherApiKey: {
             type: 'string',
             title: 'AccuWeather API Key',
-            description: 'Get your API key at https://developer.accuweather.com',
+            description:
+              'Required for the AccuWeather provider. Get your API key at https://developer.accuweather.com',
             default: '',
           },
+          accuWeatherDailyLimit: {
+            type: 'number',
+            title: 'AccuWeather Daily Call Limit',
+            description:
+              'Calls allowed per UTC day (free tier: 50). The remaining calls are spread over the rest of the day, shared between observations (4 parts) and, when polled, forecasts, alerts and route forecasts (1 part each)',
+            default: 50,
+            minimum: 1,
+            maximum: 100000,
+          },
+          requestTimeout: {
+            type: 'number',
+            title: 'Request Timeout',
+            description: 'Abort weather API requests that take longer than this (seconds)',
+            default: 15,
+            minimum: 1,
+            maximum: 120,
+          },
+          requestRetries: {
+            type: 'number',
+            title: 'Request Retries',
+            description:
+              'Retries with exponential backoff after server or network errors (0 disables)',
+            default: 2,
+            minimum: 0,
+            maximum: 5,
+          },
+          nwsMaxObservationAge: {
+            type: 'number',
+            title: 'NWS Maximum Observation Age',
+            description: 'Skip NWS stations whose latest observation is older than this (minutes)',
+            default: 90,
+            minimum: 10,
+            maximum: 360,
+          },
+          aisStationRadius: {
+            type: 'number',
+            title: 'AIS Station Radius',
+            description:
+              'Use AIS weather stations within this distance of the vessel (nautical miles)',
+            default: 10,
+            minimum: 1,
+            maximum: 100,
+          },
+          aisStationMaxAge: {
+            type: 'number',
+            title: 'AIS Station Maximum Reading Age',
+            description: 'Ignore AIS weather station readings older than this (minutes)',
+            default: 30,
+            minimum: 5,
+            maximum: 180,
+          },
           updateFrequency: {
             type: 'number',
             title: 'Weather Update Frequency',
-            description: 'How often to fetch weather data in minutes',
+            description: 'How often to fetch weather data in minutes while underway',
             default: 5,
             minimum: 1,
             maximum: 60,
           },
-          useVesselPosition: {
+          minUpdateInterval: {
+            type: 'number',
+            title: 'Minimum Update Interval',
+            description:
+              'Never fetch more often than this many minutes, however far the vessel moves',
+            default: 2,
+            minimum: 1,
+            maximum: 60,
+          },
+          maxUpdateInterval: {
+            type: 'number',
+            title: 'Moored Update Interval',
+            description: 'Minutes between fetches while moored or at anchor (below about 1 knot)',
+            default: 60,
+            minimum: 5,
+            maximum: 720,
+          },
+          refetchDistance: {
+            type: 'number',
+            title: 'Refetch Distance',
+            description:
+              'Fetch early once the vessel is this many nautical miles from the last fetch position (0 disables)',
+            default: 5,
+            minimum: 0,
+            maximum: 100,
+          },
+          enableForecasts: {
             type: 'boolean',
-            title: 'Use Vessel Position',
-            description: '',
+            title: 'Publish Forecasts',
+            description:
+              'Fetch hourly and daily forecasts (AccuWeather) and publish them under environment.forecast.*',
+            default: false,
+          },
+          forecastFrequency: {
+            type: 'number',
+            title: 'Forecast Update Frequency',
+            description:
+              'How often to fetch forecasts in minutes. AccuWeather: 2 calls per forecast, paced within the forecast share of the daily limit',
+            default: 60,
+            minimum: 15,
+            maximum: 360,
+          },
+          enableAlerts: {
+            type: 'boolean',
+            title: 'Severe Weather Alerts',
+            description: 'Poll AccuWeather alerts and raise notifications.weather.* notifications',
+            default: false,
+          },
+          alertFrequency: {
+            type: 'number',
+            title: 'Alert Update Frequency',
+            description:
+              'How often to poll for weather alerts in minutes. AccuWeather: 1 call per poll, paced within the alert share of the daily limit',
+            default: 15,
+            minimum: 5,
+            maximum: 120,
+          },
+          enableRouteForecast: {
+            type: 'boolean',
+            title: 'Route Forecast',
+            description:
+              'Forecast the upcoming waypoints of the active route at their ETA and publish environment.forecast.route',
+            default: false,
+          },
+          routeForecastFrequency: {
+            type: 'number',
+            title: 'Route Forecast Frequency',
+            description:
+              'How often to update the route forecast in minutes (one hourly forecast request per waypoint). AccuWeather: paced within the route share of the daily limit, so waypoints fill in gradually',
+            default: 30,
+            minimum: 10,
+            maximum: 360,
+          },
+          routeMaxWaypoints: {
+            type: 'number',
+            title: 'Route Waypoints',
+            description: 'Number of upcoming waypoints to forecast',
+            default: 5,
+            minimum: 1,
+            maximum: 20,
+          },
+          routeWindLimit: {
+            type: 'number',
+            title: 'Route Wind Limit',
+            description: 'Forecast wind speed at a waypoint that raises a notification (knots)',
+            default: 25,
+            minimum: 1,
+            maximum: 100,
+          },
+          routeGustLimit: {
+            type: 'number',
+            title: 'Route Gust Limit',
+            description: 'Forecast gust speed at a waypoint that raises a notification (knots)',
+            default: 35,
+            minimum: 1,
+            maximum: 150,
+          },
+          pressureDropWarning: {
+            type: 'number',
+            title: 'Pressure Drop Warning',
+            description: 'Raise a storm warning when pressure falls this many hPa in 3 hours',
+            default: 4,
+            minimum: 1,
+            maximum: 20,
+          },
+          pressureDropAlarm: {
+            type: 'number',
+            title: 'Pressure Drop Alarm',
+            description: 'Raise a storm alarm when pressure falls this many hPa in 3 hours',
+            default: 6,
+            minimum: 1,
+            maximum: 30,
+          },
+          historyRetentionDays: {
+            type: 'number',
+            title: 'History Retention',
+            description: 'Days of weather history to keep on disk (0 disables history)',
+            default: 30,
+            minimum: 0,
+            maximum: 365,
+          },
+          recordResponses: {
+            type: 'boolean',
+            title: 'Record API Responses',
+            description:
+              'Save every raw weather API response with its time and position to the fixture directory for replay',
+            default: false,
+          },
+          fixtureDirectory: {
+            type: 'string',
+            title: 'Fixture Directory',
+            description:
+              'Directory for recorded responses (leave empty for the recordings folder in the plugin data directory)',
+            default: '',
+          },
+          replaySpeed: {
+            type: 'number',
+            title: 'Replay Speed',
+            description: 'Speed of the Replay provider: 1 is real time, 10 plays ten times faster',
+            default: 1,
+            minimum: 0.1,
+            maximum: 1000,
+          },
+          registerWeatherApi: {
+            type: 'boolean',
+            title: 'SignalK Weather API',
+            description:
+              'Register as a SignalK Weather API provider so apps can request weather for any position',
             default: true,
           },
-          manualLatitude: {
+          outputMode: {
+            type: 'string',
+            title: 'Output Mode',
+            description:
+              'Gap fill only publishes paths that no live onboard sensor is providing, and resumes when the sensor goes stale',
+            enum: ['always', 'gapFill'],
+            enumNames: ['Always publish', 'Gap fill (never overwrite real sensors)'],
+            default: 'always',
+          },
+          sensorTimeout: {
+            type: 'number',
+            title: 'Sensor Timeout',
+            description: 'Seconds without an update before an onboard sensor is considered stale',
+            default: 30,
+            minimum: 5,
+            maximum: 600,
+          },
+          maxDataAge: {
+            type: 'number',
+            title: 'Maximum Data Age',
+            description: 'Minutes an observation is republished before it is treated as stale',
+            default: 30,
+            minimum: 5,
+            maximum: 360,
+          },
+          stalePolicy: {
+            type: 'string',
+            title: 'Stale Data Policy',
+            description:
+              'What to publish when data is missing or older than the maximum age. Defaults (0 °C, 1013 hPa, 50%, 0 kn) can mislead displays',
+            enum: ['null', 'omit', 'defaults'],
+            enumNames: ['Publish null', 'Stop publishing the path', 'Publish NMEA2000 defaults'],
+            default: 'null',
+          },
+          pathProfile: {
+            type: 'string',
+            title: 'Output Path Profile',
+            description:
+              'Instrument replacement publishes on environment.outside.* and environment.wind.*; forecast only publishes under environment.weather.* so onboard sensors are never shadowed',
+            enum: ['instrument', 'forecastOnly'],
+            enumNames: ['Instrument replacement', 'Forecast only'],
+            default: 'instrument',
+          },
+          pathOverrides: {
+            type: 'array',
+            title: 'Output Path Overrides',
+            description: 'Enable, disable or rename individual output paths',
+            default: [],
+            items: {
+              type: 'object',
+              required: ['path'],
+              properties: {
+                path: {
+                  type: 'string',
+                  title: 'Path',
+                  description: 'Standard path, e.g. environment.outside.apparentTemperature',
+                },
+                enabled: {
+                  type: 'boolean',
+                  title: 'Publish',
+                  default: true,
+                },
+                outputPath: {
+                  type: 'string',
+                  title: 'Publish As',
+                  description: 'Leave empty to use the profile path',
+                },
+              },
+            },
+          },
+          enableN2kOutput: {
+            type: 'boolean',
+            title: 'Send NMEA2000 PGNs Directly',
+            description:
+              'Emit PGNs 130306, 130311-130314 and 130323 through the server NMEA2000 connection without signalk-to-nmea2000',
+            default: false,
+          },
+          n2kTemperatureInstance: {
             type: 'number',
-            title: 'Manual Latitude',
-            description: 'Only used when vessel position is disabled',
-            minimum: -90,
-            maximum: 90,
+            title: 'NMEA2000 Temperature Instance',
+            description: 'Instance for PGN 130312; pick one not used by onboard sensors',
             default: 0,
+            minimum: 0,
+            maximum: 252,
           },
-          manualLongitude: {
+          n2kHumidityInstance: {
             type: 'number',
-            title: 'Manual Longitude',
-            description: 'Only used when vessel position is disabled',
-            minimum: -180,
-            maximum: 180,
+            title: 'NMEA2000 Humidity Instance',
+            description: 'Instance for PGN 130313',
+            default: 0,
+            minimum: 0,
+            maximum: 252,
+          },
+          n2kPressureInstance: {
+            type: 'number',
+            title: 'NMEA2000 Pressure Instance',
+            description: 'Instance for PGN 130314',
             default: 0,
+            minimum: 0,
+            maximum: 252,
+          },
+          n2kSourceAddress: {
+            type: 'number',
+            title: 'NMEA2000 Source Address',
+            description:
+              'Source address stamped on each PGN; leave empty to use the gateway address',
+            minimum: 0,
+            maximum: 252,
+          },
+          enableNmea0183Output: {
+            type: 'boolean',
+            title: 'Send NMEA 0183 Sentences',
+            description:
+              'Emit NMEA 0183 sentences for the server NMEA 0183 outputs (e.g. the TCP server)',
+            default: false,
+          },
+          nmea0183TalkerId: {
+            type: 'string',
+            title: 'NMEA 0183 Talker ID',
+            description: 'Two-character talker ID; WI is weather instruments',
+            default: 'WI',
+            pattern: '^[A-Za-z]{2}$',
+          },
+          nmea0183Sentences: {
+            type: 'array',
+            title: 'NMEA 0183 Sentences',
+            description:
+              'MWV true wind, MWD wind direction, MDA meteorological composite, XDR transducers, MTA air temperature, MMB barometer',
+            items: {
+              type: 'string',
+              enum: ['MWV', 'MWD', 'MDA', 'XDR', 'MTA', 'MMB'],
+            },
+            uniqueItems: true,
+            default: ['MWV', 'MWD', 'MDA', 'XDR'],
+          },
+          useVesselPosition: {
+            type: 'boolean',
+            title: 'Use Vessel Position',
+            description: 'Without vessel position the first fixed location is used instead',
+            default: true,
+          },
+          locations: {
+            type: 'array',
+            title: 'Fixed Locations',
+            description:
+              'Named places such as the home marina or the planned anchorage. Weather for each is published under its own meteo.<id> context',
+            default: [],
+            items: {
+              type: 'object',
+              required: ['id', 'latitude', 'longitude'],
+              properties: {
+                id: {
+                  type: 'string',
+                  title: 'Id',
+                  description: 'Published as meteo.<id> - letters, digits, - and _ only',
+                  pattern: '^[A-Za-z0-9_-]+$',
+                },
+                name: {
+                  type: 'string',
+                  title: 'Name',
+                },
+                latitude: {
+                  type: 'number',
+                  title: 'Latitude',
+                  minimum: -90,
+                  maximum: 90,
+                },
+                longitude: {
+                  type: 'number',
+                  title: 'Longitude',
+                  minimum: -180,
+                  maximum: 180,
+                },
+                updateFrequency: {
+                  type: 'number',
+                  title: 'Update Frequency (minutes)',
+                  description: 'Every location costs a weather request per update',
+                  default: 30,
+                  minimum: 5,
+                  maximum: 1440,
+                },
+              },
+            },
           },
         },
-        required: ['accuWeatherApiKey'],
       };
     },
 
     uiSchema: () => {
       return {
         'ui:order': [
+          'weatherProvider',
+          'providers',
+          'aggregationMode',
           'accuWeatherApiKey',
+          'accuWeatherDailyLimit',
+          'requestTimeout',
+          'requestRetries',
+          'nwsMaxObservationAge',
+          'aisStationRadius',
+          'aisStationMaxAge',
           'updateFrequency',
+          'minUpdateInterval',
+          'maxUpdateInterval',
+          'refetchDistance',
+          'enableForecasts',
+          'forecastFrequency',
+          'enableAlerts',
+          'alertFrequency',
+          'enableRouteForecast',
+          'routeForecastFrequency',
+          'routeMaxWaypoints',
+          'routeWindLimit',
+          'routeGustLimit',
+          'pressureDropWarning',
+          'pressureDropAlarm',
+          'historyRetentionDays',
+          'recordResponses',
+          'fixtureDirectory',
+          'replaySpeed',
+          'registerWeatherApi',
+          'outputMode',
+          'sensorTimeout',
+          'maxDataAge',
+          'stalePolicy',
+          'pathProfile',
+          'pathOverrides',
+          'enableN2kOutput',
+          'n2kTemperatureInstance',
+          'n2kHumidityInstance',
+          'n2kPressureInstance',
+          'n2kSourceAddress',
+          'enableNmea0183Output',
+          'nmea0183TalkerId',
+          'nmea0183Sentences',
           'useVesselPosition',
-          'manualLatitude',
-          'manualLongitude',
+          'locations',
         ],
+        weatherProvider: {
+          'ui:widget': 'select',
+          'ui:title': 'Weather Provider',
+          'ui:help': '',
+        },
+        aggregationMode: {
+          'ui:widget': 'radio',
+          'ui:help': '',
+        },
         accuWeatherApiKey: {
           'ui:widget': 'password',
           'ui:title': 'AccuWeather API Key',
           'ui:help': '',
         },
+        accuWeatherDailyLimit: {
+          'ui:widget': 'updown',
+          'ui:help': '',
+        },
+        requestTimeout: {
+          'ui:widget': 'updown',
+          'ui:help': '',
+        },
+        requestRetries: {
+          'ui:widget': 'updown',
+          'ui:help': '',
+        },
+        nwsMaxObservationAge: {
+          'ui:widget': 'updown',
+          'ui:help': '',
+        },
+        aisStationRadius: {
+          'ui:widget': 'updown',
+          'ui:help': '',
+        },
+        aisStationMaxAge: {
+          'ui:widget': 'updown',
+          'ui:help': '',
+        },
         updateFrequency: {
           'ui:widget': 'updown',
           'ui:title': 'Weather Update Frequency',
           'ui:help': '',
         },
-        useVesselPosition: {
+        minUpdateInterval: {
+          'ui:widget': 'updown',
+          'ui:help': '',
+        },
+        maxUpdateInterval: {
+          'ui:widget': 'updown',
+          'ui:help': '',
+        },
+        refetchDistance: {
+          'ui:widget': 'updown',
+          'ui:help': '',
+        },
+        enableForecasts: {
+          'ui:widget': 'checkbox',
+          'ui:title': ' ',
+          'ui:help': '',
+        },
+        forecastFrequency: {
+          'ui:widget': 'updown',
+          'ui:help': '',
+        },
+        enableAlerts: {
+          'ui:widget': 'checkbox',
+          'ui:title': ' ',
+          'ui:help': '',
+        },
+        alertFrequency: {
+          'ui:widget': 'updown',
+          'ui:help': '',
+        },
+        enableRouteForecast: {
+          'ui:widget': 'checkbox',
+          'ui:title': ' ',
+          'ui:help': '',
+        },
+        routeForecastFrequency: {
+          'ui:widget': 'updown',
+          'ui:help': '',
+        },
+        routeMaxWaypoints: {
+          'ui:widget': 'updown',
+          'ui:help': '',
+        },
+        routeWindLimit: {
+          'ui:widget': 'updown',
+          'ui:help': '',
+        },
+        routeGustLimit: {
+          'ui:widget': 'updown',
+          'ui:help': '',
+        },
+        pressureDropWarning: {
+          'ui:widget': 'updown',
+          'ui:help': '',
+        },
+        pressureDropAlarm: {
+          'ui:widget': 'updown',
+          'ui:help': '',
+        },
+        historyRetentionDays: {
+          'ui:widget': 'updown',
+          'ui:help': '',
+        },
+        recordResponses: {
+          'ui:widget': 'checkbox',
+          'ui:title': ' ',
+          'ui:help': '',
+        },
+        replaySpeed: {
+          'ui:widget': 'updown',
+          'ui:help': '',
+        },
+        registerWeatherApi: {
+          'ui:widget': 'checkbox',
+          'ui:title': ' ',
+          'ui:help': '',
+        },
+        outputMode: {
+          'ui:widget': 'radio',
+          'ui:help': '',
+        },
+        sensorTimeout: {
+          'ui:widget': 'updown',
+          'ui:help': '',
+        },
+        maxDataAge: {
+          'ui:widget': 'updown',
+          'ui:help': '',
+        },
+        stalePolicy: {
+          'ui:widget': 'radio',
+          'ui:help': '',
+        },
+        pathProfile: {
+          'ui:widget': 'radio',
+          'ui:help': '',
+        },
+        enableN2kOutput: {
           'ui:widget': 'checkbox',
           'ui:title': ' ',
           'ui:help': '',
         },
-        manualLatitude: {
+        n2kTemperatureInstance: {
+          'ui:widget': 'updown',
+          'ui:help': '',
+        },
+        n2kHumidityInstance: {
           'ui:widget': 'updown',
           'ui:help': '',
         },
-        manualLongitude: {
+        n2kPressureInstance: {
           'ui:widget': 'updown',
           'ui:help': '',
         },
+        n2kSourceAddress: {
+          'ui:widget': 'updown',
+          'ui:help': '',
+        },
+        enableNmea0183Output: {
+          'ui:widget': 'checkbox',
+          'ui:title': ' ',
+          'ui:help': '',
+        },
+        nmea0183Sentences: {
+          'ui:widget': 'checkboxes',
+          'ui:help': '',
+        },
+        useVesselPosition: {
+          'ui:widget': 'checkbox',
+          'ui:title': ' ',
+          'ui:help': '',
+        },
       };
     },
   };
@@ -189,42 +1053,393 @@ module.exports = (app) => {
       // Get latest weather data from service
       const currentData = weatherService ? weatherService.getCurrentWeatherData() : null;
 
-      // Use current data or fall back to last known data
-      const weatherData = currentData || lastWeatherData;
-
       if (currentData) {
         lastWeatherData = currentData;
       }
 
+      // Hold the last observation until it exceeds the maximum age, then apply the stale policy
+      let weatherData = lastWeatherData;
+      if (isObservationStale(weatherData)) {
+        if (!staleDataReported) {
+          app.debug(`Weather data is stale, applying '${outputSettings.stalePolicy}' policy`);
+          staleDataReported = true;
+        }
+        weatherData = {};
+      } else {
+        staleDataReported = false;
+      }
+
+      // Add locally derived pressure tendencies and Zambretti forecast
+      const pressureAnalysis = weatherService ? weatherService.getPressureAnalysis() : {};
+
       // Validate and sanitize weather data for NMEA2000 ranges
-      const validatedData = pathMapper.validateNMEA2000Ranges(weatherData);
+      const validatedData = pathMapper.validateNMEA2000Ranges({
+        ...weatherData,
+        ...pressureAnalysis,
+      });
 
       // Convert weather data to proper SignalK delta message
-      const deltaMessage = pathMapper.mapToSignalKPaths(validatedData);
+      const deltaMessage = removeLiveSensorPaths(pathMapper.mapToSignalKPaths(validatedData));
+      const valueCount = deltaMessage.updates[0].values.length;
 
-      if (deltaMessage?.updates && deltaMessage.updates.length > 0) {
+      if (valueCount > 0) {
         app.handleMessage(plugin.id, deltaMessage);
-
-        const valueCount = deltaMessage.updates[0].values
-          ? deltaMessage.updates[0].values.length
-          : 0;
         app.debug('Emitted NMEA2000 weather data:', valueCount, 'values');
       } else {
-        app.debug('No valid weather data to emit, using defaults');
-        // Emit defaults when no data available
-        const defaultDelta = pathMapper.mapToSignalKPaths({});
-        app.handleMessage(plugin.id, defaultDelta);
+        app.debug('No weather data to emit');
       }
+
+      emitNmea2000Pgns(validatedData);
+      emitNmea0183Sentences(validatedData);
     } catch (error) {
       app.debug('Error emitting weather data:', error);
-      // Emit defaults on any error to maintain NMEA2000 compliance
+      // Publish the stale policy output (null, nothing or defaults) so displays do not freeze
       try {
-        const defaultDelta = pathMapper.mapToSignalKPaths({});
-        app.handleMessage(plugin.id, defaultDelta);
+        const fallbackDelta = removeLiveSensorPaths(pathMapper.mapToSignalKPaths({}));
+        if (fallbackDelta.updates[0].values.length > 0) {
+          app.handleMessage(plugin.id, fallbackDelta);
+        }
       } catch (fallbackError) {
-        app.debug('Error emitting default values:', fallbackError);
+        app.debug('Error emitting fallback values:', fallbackError);
+      }
+    }
+
+    emitForecastData();
+    emitRouteForecast();
+    emitLocationWeather();
+    emitWeatherAlerts();
+    emitPressureNotification();
+  }
+
+  // Private function to publish the route forecast and the wind limit notification
+  function emitRouteForecast() {
+    const routeForecast = weatherService ? weatherService.getRouteForecast() : null;
+    if (!routeForecast || routeForecast.timestamp === lastRouteForecastTimestamp) {
+      return;
+    }
+
+    try {
+      const deltaMessage = pathMapper.mapRouteForecastToSignalKPaths(routeForecast);
+      if (deltaMessage) {
+        app.handleMessage(plugin.id, deltaMessage);
+        lastRouteForecastTimestamp = routeForecast.timestamp;
+        app.debug('Emitted route forecast:', routeForecast.waypoints.length, 'waypoints');
+      }
+    } catch (error) {
+      app.debug('Error emitting route forecast:', error);
+    }
+
+    emitRouteWindNotification(routeForecast);
+  }
+
+  // Private function to publish fixed location observations as meteo.<id> contexts when updated
+  function emitLocationWeather() {
+    const locations = weatherService ? weatherService.getLocationWeather() : [];
+
+    for (const { location, weatherData, lastUpdate } of locations) {
+      if (lastUpdate === lastLocationUpdates.get(location.id)) {
+        continue;
+      }
+
+      try {
+        const deltaMessage = locationMapper.mapLocationToSignalKPaths(
+          location,
+          pathMapper.validateNMEA2000Ranges(weatherData)
+        );
+        app.handleMessage(plugin.id, deltaMessage);
+        lastLocationUpdates.set(location.id, lastUpdate);
+        app.debug(`Emitted weather for ${location.name} as ${deltaMessage.context}`);
+      } catch (error) {
+        app.debug(`Error emitting weather for ${location.name}:`, error);
+      }
+    }
+  }
+
+  // Private function to warn when forecast wind or gusts at an upcoming waypoint exceed the limits
+  function emitRouteWindNotification(routeForecast) {
+    const exceeded = routeForecast.waypoints.filter((waypoint) => waypoint.exceedsLimits);
+    const state = exceeded.length > 0 ? 'warn' : 'normal';
+    if (state === 'normal' && lastRouteWindState === 'normal') {
+      return;
+    }
+
+    const message =
+      state === 'normal'
+        ? 'Forecast wind along the route is within limits'
+        : `Forecast wind above limits on route: ${exceeded.map(describeRouteWind).join('; ')}`;
+
+    app.handleMessage(plugin.id, {
+      context: 'vessels.self',
+      updates: [
+        {
+          source: {
+            label: 'signalk-n2k-weather-provider',
+          },
+          timestamp: new Date().toISOString(),
+          values: [
+            {
+              path: 'notifications.weather.routeWind',
+              value: {
+                state,
+                method: state === 'normal' ? [] : ['visual', 'sound'],
+                message,
+              },
+            },
+          ],
+        },
+      ],
+    });
+
+    app.debug('Route wind notification:', state, message);
+    lastRouteWindState = state;
+  }
+
+  // Describe the forecast wind at a waypoint in knots for notification messages
+  function describeRouteWind(waypoint) {
+    const toKnots = (speed) => Math.round(speed * 1.9438444924574);
+    const { windSpeed, windGust } = waypoint.forecast;
+    const wind = typeof windSpeed === 'number' ? `${toKnots(windSpeed)} kn` : 'wind';
+    const gust = typeof windGust === 'number' ? ` gusting ${toKnots(windGust)} kn` : '';
+    return `${waypoint.name} ${wind}${gust} at ${waypoint.eta.slice(11, 16)}Z`;
+  }
+
+  // Private function to raise a notification when pressure falls faster than the storm thresholds
+  function emitPressureNotification() {
+    if (!weatherService) {
+      return;
+    }
+
+    const { pressureDropState, pressureDrop3h } = weatherService.getPressureAnalysis();
+    if (pressureDropState === lastPressureDropState) {
+      return;
+    }
+
+    const message =
+      pressureDropState === 'normal'
+        ? 'Barometric pressure fall has eased'
+        : `Barometric pressure falling ${pressureDrop3h.toFixed(1)} hPa per 3 hours - possible storm`;
+
+    app.handleMessage(plugin.id, {
+      context: 'vessels.self',
+      updates: [
+        {
+          source: {
+            label: 'signalk-n2k-weather-provider',
+          },
+          timestamp: new Date().toISOString(),
+          values: [
+            {
+              path: 'notifications.weather.pressureDrop',
+              value: {
+                state: pressureDropState,
+                method: pressureDropState === 'normal' ? [] : ['visual', 'sound'],
+                message,
+              },
+            },
+          ],
+        },
+      ],
+    });
+
+    app.debug('Pressure drop notification:', pressureDropState, message);
+    lastPressureDropState = pressureDropState;
+  }
+
+  // Private function to raise and clear notifications.weather.* for severe weather alerts
+  function emitWeatherAlerts() {
+    const alertData = weatherService ? weatherService.getAlertData() : null;
+    if (!alertData) {
+      return;
+    }
+
+    const now = Date.now();
+    const current = new Map();
+    for (const alert of alertData.alerts) {
+      const expired = alert.endTime && Date.parse(alert.endTime) <= now;
+      if (!expired) {
+        current.set(alert.id, alert);
+      }
+    }
+
+    const values = [];
+
+    // New alerts
+    for (const [id, alert] of current) {
+      if (!activeAlerts.has(id)) {
+        values.push({
+          path: getAlertNotificationPath(id),
+          value: {
+            state: getAlertState(alert),
+            method: ['visual', 'sound'],
+            message: `${alert.title}: ${alert.message}`,
+          },
+        });
+        app.debug('Raising weather alert notification:', alert.title);
+      }
+    }
+
+    // Expired or withdrawn alerts
+    for (const [id, alert] of activeAlerts) {
+      if (!current.has(id)) {
+        values.push({
+          path: getAlertNotificationPath(id),
+          value: {
+            state: 'normal',
+            method: [],
+            message: `${alert.title} has expired`,
+          },
+        });
+        app.debug('Clearing weather alert notification:', alert.title);
       }
     }
+
+    activeAlerts = current;
+
+    if (values.length > 0) {
+      app.handleMessage(plugin.id, {
+        context: 'vessels.self',
+        updates: [
+          {
+            source: {
+              label: 'signalk-n2k-weather-provider',
+            },
+            timestamp: new Date().toISOString(),
+            values,
+          },
+        ],
+      });
+    }
+  }
+
+  // Notification path for an alert, keeping the id safe as a path segment
+  function getAlertNotificationPath(alertId) {
+    return `notifications.weather.alert_${String(alertId).replace(/[^A-Za-z0-9_]/g, '_')}`;
+  }
+
+  // Map alert level and severity (1 = most severe) to a SignalK notification state
+  function getAlertState(alert) {
+    const level = (alert.level || '').toLowerCase();
+    if (level.includes('warning')) {
+      return typeof alert.severity === 'number' && alert.severity <= 2 ? 'emergency' : 'warn';
+    }
+    return 'alert';
+  }
+
+  // Private function to check observation age against the configured maximum
+  function isObservationStale(weatherData) {
+    const observedAt = Date.parse(weatherData?.timestamp);
+    if (!Number.isFinite(observedAt)) {
+      return true;
+    }
+    return Date.now() - observedAt > outputSettings.maxDataAge * 60 * 1000;
+  }
+
+  // Private function to drop paths that a real onboard sensor is currently publishing
+  // In gap-fill mode a path is handed back to the plugin once its sensor goes stale
+  function removeLiveSensorPaths(deltaMessage) {
+    if (outputSettings.outputMode !== 'gapFill' || !weatherService || !deltaMessage) {
+      return deltaMessage;
+    }
+
+    const signalkClient = weatherService.signalkClient;
+    for (const update of deltaMessage.updates) {
+      update.values = update.values.filter(({ path }) => {
+        const sensor = signalkClient.getExternalSensorValue(path, outputSettings.sensorTimeout);
+
+        if (sensor && !sensorOwnedPaths.has(path)) {
+          sensorOwnedPaths.add(path);
+          app.debug(`Live sensor ${sensor.source} found for ${path}, no longer publishing it`);
+        } else if (!sensor && sensorOwnedPaths.has(path)) {
+          sensorOwnedPaths.delete(path);
+          app.debug(`Sensor for ${path} went stale, resuming weather data`);
+        }
+
+        return !sensor;
+      });
+    }
+
+    return deltaMessage;
+  }
+
+  // Private function to send the observation straight to the NMEA2000 bus as canboat JSON PGNs
+  function emitNmea2000Pgns(weatherData) {
+    if (!n2kEncoder) {
+      return;
+    }
+
+    const pgns = n2kEncoder.encode(
+      removeLiveSensorFields(weatherData),
+      weatherService ? weatherService.getPosition() : null
+    );
+    for (const pgn of pgns) {
+      app.emit('nmea2000JsonOut', pgn);
+    }
+  }
+
+  // Private function to send the observation as NMEA 0183 sentences
+  function emitNmea0183Sentences(weatherData) {
+    if (!nmea0183Encoder) {
+      return;
+    }
+
+    const sentences = nmea0183Encoder.encode(removeLiveSensorFields(weatherData));
+    for (const sentence of sentences) {
+      app.emit('nmea0183out', sentence);
+    }
+  }
+
+  // Private function to drop fields that a live onboard sensor is already putting on the bus
+  function removeLiveSensorFields(weatherData) {
+    if (outputSettings.outputMode !== 'gapFill' || !weatherService) {
+      return weatherData;
+    }
+
+    const signalkClient = weatherService.signalkClient;
+    const filtered = { ...weatherData };
+    for (const [field, path] of Object.entries(SENSOR_FIELD_PATHS)) {
+      if (signalkClient.getExternalSensorValue(path, outputSettings.sensorTimeout)) {
+        delete filtered[field];
+      }
+    }
+
+    return filtered;
+  }
+
+  // Private function to read the fixed locations, converting the former manual position
+  function getLocations(settings) {
+    if (Array.isArray(settings.locations) && settings.locations.length > 0) {
+      return settings.locations;
+    }
+    if (settings.manualLatitude && settings.manualLongitude) {
+      return [
+        {
+          id: 'manual',
+          name: 'Manual position',
+          latitude: settings.manualLatitude,
+          longitude: settings.manualLongitude,
+        },
+      ];
+    }
+    return [];
+  }
+
+  // Private function to emit forecast data when a new forecast has been fetched
+  function emitForecastData() {
+    const forecast = weatherService ? weatherService.getForecastData() : null;
+    if (!forecast || forecast.timestamp === lastForecastTimestamp) {
+      return;
+    }
+
+    try {
+      const deltaMessage = pathMapper.mapForecastToSignalKPaths(forecast);
+      if (deltaMessage) {
+        app.handleMessage(plugin.id, deltaMessage);
+        lastForecastTimestamp = forecast.timestamp;
+        app.debug('Emitted forecast data:', forecast.hourly?.length, 'hours');
+      }
+    } catch (error) {
+      app.debug('Error emitting forecast data:', error);
+    }
   }
 
   return plugin;
@@ -1,10 +1,20 @@
-const fetch = require('node-fetch');
+const HttpClient = require('./http-client');
+const LocationCache = require('./location-cache');
 const {
   convertAccuWeatherTemperature,
   convertAccuWeatherPressure,
   convertAccuWeatherHumidity,
   convertAccuWeatherWindSpeed,
   convertAccuWeatherWindDirection,
+  convertAccuWeatherVisibility,
+  convertAccuWeatherCeiling,
+  convertAccuWeatherCloudCover,
+  convertAccuWeatherUVIndex,
+  convertAccuWeatherPrecipitation,
+  convertAccuWeatherPressureTendency,
+  convertAccuWeatherForecastTemperature,
+  convertAccuWeatherForecastWindSpeed,
+  percentageToRatio,
 } = require('./weather-utils');
 
 /**
@@ -12,11 +22,41 @@ const {
  * Handles communication with AccuWeather API for weather data retrieval
  */
 class AccuWeatherClient {
-  constructor(apiKey, debug) {
+  /**
+   * @param {string} apiKey AccuWeather API key
+   * @param {Function} debug Debug logger
+   * @param {Object} [options] Client options
+   * @param {QuotaManager} [options.quota] Daily call quota every request is counted against
+   * @param {LocationCache} [options.locationCache] Location key cache (in-memory when omitted)
+   * @param {number} [options.timeout] Request timeout in ms
+   * @param {number} [options.retries] Retries for server and network errors
+   * @param {WeatherRecorder} [options.recorder] Records raw responses
+   * @param {WeatherReplay} [options.replay] Serves recorded responses instead of the network
+   */
+  constructor(apiKey, debug, options = {}) {
     this.apiKey = apiKey;
     this.debug = debug || (() => {});
+    this.quota = options.quota || null;
+    this.http = new HttpClient(
+      {
+        name: 'AccuWeather',
+        headers: { 'User-Agent': 'NMEA2000WeatherForecast/1.0' },
+        timeout: options.timeout,
+        retries: options.retries,
+        recorder: options.recorder,
+        replay: options.replay,
+        errorMessages: {
+          401: 'Invalid AccuWeather API key',
+          429: 'AccuWeather API rate limit exceeded',
+        },
+        // Retries are API calls too, so every attempt is counted
+        beforeRequest: () => this.quota?.consume(),
+      },
+      this.debug
+    );
     this.baseUrl = 'http://dataservice.accuweather.com';
-    this.locationCache = new Map(); // Cache location keys to avoid repeated lookups
+    // Cache location keys on a coarse grid to avoid repeated geoposition lookups
+    this.locationCache = options.locationCache || new LocationCache({}, this.debug);
   }
 
   /**
@@ -35,23 +75,10 @@ class AccuWeatherClient {
       const locationKey = await this.getLocationKey(latitude, longitude);
 
       // Get current conditions with details
-      const url = `${this.baseUrl}/currentconditions/v1/${locationKey}?apikey=${this.apiKey}&details=true`;
-
-      const response = await fetch(url, {
-        headers: { 'User-Agent': 'NMEA2000WeatherForecast/1.0' },
-      });
-
-      if (!response.ok) {
-        if (response.status === 401) {
-          throw new Error('Invalid AccuWeather API key');
-        }
-        if (response.status === 429) {
-          throw new Error('AccuWeather API rate limit exceeded');
-        }
-        throw new Error(`AccuWeather API returned ${response.status}: ${response.statusText}`);
-      }
-
-      const data = await response.json();
+      const data = await this.fetchJson(
+        `${this.baseUrl}/currentconditions/v1/${locationKey}?apikey=${this.apiKey}&details=true`,
+        { latitude, longitude }
+      );
       return this.convertAccuWeatherToStandardFormat(data[0]); // AccuWeather returns array
     } catch (error) {
       this.debug('AccuWeather API error:', error);
@@ -59,6 +86,102 @@ class AccuWeatherClient {
     }
   }
 
+  /**
+   * Get 12-hour hourly forecast from AccuWeather API
+   * @param {number} latitude Latitude in degrees
+   * @param {number} longitude Longitude in degrees
+   * @returns {Promise<Array<Object>>} Hourly forecast entries in standard units
+   */
+  async getHourlyForecast(latitude, longitude) {
+    if (!this.apiKey) {
+      throw new Error('AccuWeather API key not provided');
+    }
+
+    try {
+      const locationKey = await this.getLocationKey(latitude, longitude);
+      const data = await this.fetchJson(
+        `${this.baseUrl}/forecasts/v1/hourly/12hour/${locationKey}?apikey=${this.apiKey}&details=true&metric=true`,
+        { latitude, longitude }
+      );
+      return data.map((hour) => this.convertHourlyForecast(hour));
+    } catch (error) {
+      this.debug('AccuWeather hourly forecast error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get 5-day daily forecast from AccuWeather API
+   * @param {number} latitude Latitude in degrees
+   * @param {number} longitude Longitude in degrees
+   * @returns {Promise<Array<Object>>} Daily forecast entries in standard units
+   */
+  async getDailyForecast(latitude, longitude) {
+    if (!this.apiKey) {
+      throw new Error('AccuWeather API key not provided');
+    }
+
+    try {
+      const locationKey = await this.getLocationKey(latitude, longitude);
+      const data = await this.fetchJson(
+        `${this.baseUrl}/forecasts/v1/daily/5day/${locationKey}?apikey=${this.apiKey}&details=true&metric=true`,
+        { latitude, longitude }
+      );
+      return (data.DailyForecasts || []).map((day) => this.convertDailyForecast(day));
+    } catch (error) {
+      this.debug('AccuWeather daily forecast error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get active severe weather alerts from AccuWeather API
+   * @param {number} latitude Latitude in degrees
+   * @param {number} longitude Longitude in degrees
+   * @returns {Promise<Array<Object>>} Normalized alerts
+   */
+  async getAlerts(latitude, longitude) {
+    if (!this.apiKey) {
+      throw new Error('AccuWeather API key not provided');
+    }
+
+    try {
+      const locationKey = await this.getLocationKey(latitude, longitude);
+      const data = await this.fetchJson(
+        `${this.baseUrl}/alerts/v1/${locationKey}?apikey=${this.apiKey}&details=true`,
+        { latitude, longitude }
+      );
+      return (Array.isArray(data) ? data : []).map((alert) => this.convertAlert(alert));
+    } catch (error) {
+      this.debug('AccuWeather alerts error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Perform a GET request against the AccuWeather API
+   * @param {string} url Request URL including API key
+   * @param {Object} position Position the request is made for
+   * @returns {Promise<Object>} Parsed JSON response
+   */
+  async fetchJson(url, position) {
+    try {
+      return await this.http.getJson(url, { position });
+    } catch (error) {
+      if (error.status === 429) {
+        this.quota?.exhaust();
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Abort in-flight requests and pending retries
+   */
+  cancel() {
+    this.http.cancel();
+  }
+
   /**
    * Get AccuWeather location key for coordinates
    * @param {number} latitude Latitude in degrees
@@ -66,36 +189,26 @@ class AccuWeatherClient {
    * @returns {Promise<string>} Location key
    */
   async getLocationKey(latitude, longitude) {
-    const coordsKey = `${latitude.toFixed(4)},${longitude.toFixed(4)}`;
-
     // Check cache first
-    if (this.locationCache.has(coordsKey)) {
-      this.debug(`Using cached location key for ${coordsKey}`);
-      return this.locationCache.get(coordsKey);
+    const cached = this.locationCache.get(latitude, longitude);
+    if (cached) {
+      this.debug(`Using cached location key ${cached.key} (${cached.name})`);
+      return cached.key;
     }
 
     try {
       const url = `${this.baseUrl}/locations/v1/cities/geoposition/search?apikey=${this.apiKey}&q=${latitude},${longitude}`;
 
-      const response = await fetch(url, {
-        headers: { 'User-Agent': 'NMEA2000WeatherForecast/1.0' },
-      });
-
-      if (!response.ok) {
-        throw new Error(
-          `AccuWeather location API returned ${response.status}: ${response.statusText}`
-        );
-      }
-
-      const data = await response.json();
+      const data = await this.fetchJson(url, { latitude, longitude });
       const locationKey = data.Key;
+      const locationName = [data.LocalizedName, data.AdministrativeArea?.LocalizedName]
+        .filter(Boolean)
+        .join(', ');
 
       // Cache the location key
-      this.locationCache.set(coordsKey, locationKey);
+      this.locationCache.set(latitude, longitude, locationKey, locationName);
 
-      this.debug(
-        `Retrieved location key ${locationKey} for ${data.LocalizedName}, ${data.AdministrativeArea.LocalizedName}`
-      );
+      this.debug(`Retrieved location key ${locationKey} for ${locationName}`);
       return locationKey;
     } catch (error) {
       this.debug('AccuWeather location lookup error:', error);
@@ -122,11 +235,27 @@ class AccuWeatherClient {
       humidity: convertAccuWeatherHumidity(accuData.RelativeHumidity),
       windSpeed: convertAccuWeatherWindSpeed(accuData.Wind?.Speed),
       windDirection: convertAccuWeatherWindDirection(accuData.Wind?.Direction),
+      windGust: convertAccuWeatherWindSpeed(accuData.WindGust?.Speed),
       dewPoint: convertAccuWeatherTemperature(accuData.DewPoint),
       windChill: convertAccuWeatherTemperature(accuData.WindChillTemperature),
       heatIndex: convertAccuWeatherTemperature(accuData.RealFeelTemperature),
+      visibility: convertAccuWeatherVisibility(accuData.Visibility),
+      cloudCover: convertAccuWeatherCloudCover(accuData.CloudCover),
+      cloudCeiling: convertAccuWeatherCeiling(accuData.Ceiling),
+      uvIndex: convertAccuWeatherUVIndex(accuData.UVIndex),
+      precipitationLastHour: convertAccuWeatherPrecipitation(
+        accuData.PrecipitationSummary?.PastHour
+      ),
+      precipitationLast24Hours: convertAccuWeatherPrecipitation(
+        accuData.PrecipitationSummary?.Past24Hours
+      ),
+      pressureTendency: convertAccuWeatherPressureTendency(accuData.PressureTendency),
       description: accuData.WeatherText,
-      timestamp: new Date().toISOString(),
+      // Observation time, so staleness reflects the data rather than the fetch
+      timestamp:
+        typeof accuData.EpochTime === 'number'
+          ? new Date(accuData.EpochTime * 1000).toISOString()
+          : new Date().toISOString(),
       source: 'AccuWeather',
     };
 
@@ -138,6 +267,75 @@ class AccuWeatherClient {
 
     return convertedData;
   }
+
+  /**
+   * Convert an AccuWeather alert to a normalized alert
+   * @param {Object} alert AccuWeather alert entry
+   * @returns {Object} Alert with id, title, level, severity, message and validity times
+   */
+  convertAlert(alert) {
+    const area = Array.isArray(alert.Area) ? alert.Area[0] : null;
+    const title = alert.Description?.Localized || alert.Description?.English || 'Weather alert';
+
+    return {
+      id: String(alert.AlertID),
+      title,
+      level: alert.Level || null, // e.g. Warning, Watch, Advisory, Statement
+      severity: typeof alert.Severity === 'number' ? alert.Severity : null, // 1 is most severe
+      message: area?.Summary || area?.Text || title,
+      area: area?.Name || null,
+      startTime: area?.StartTime ? new Date(area.StartTime).toISOString() : null,
+      endTime: area?.EndTime ? new Date(area.EndTime).toISOString() : null,
+      source: alert.Source || 'AccuWeather',
+    };
+  }
+
+  /**
+   * Convert an AccuWeather hourly forecast entry to standard units
+   * @param {Object} hour AccuWeather hourly forecast entry (metric=true)
+   * @returns {Object} Forecast entry (K, m/s, rad, ratios)
+   */
+  convertHourlyForecast(hour) {
+    return {
+      time: hour.DateTime ? new Date(hour.DateTime).toISOString() : null,
+      description: hour.IconPhrase || null,
+      temperature: convertAccuWeatherForecastTemperature(hour.Temperature),
+      humidity: convertAccuWeatherHumidity(hour.RelativeHumidity),
+      windSpeed: convertAccuWeatherForecastWindSpeed(hour.Wind?.Speed),
+      windDirection: convertAccuWeatherWindDirection(hour.Wind?.Direction),
+      windGust: convertAccuWeatherForecastWindSpeed(hour.WindGust?.Speed),
+      precipitationProbability:
+        typeof hour.PrecipitationProbability === 'number'
+          ? percentageToRatio(hour.PrecipitationProbability)
+          : null,
+    };
+  }
+
+  /**
+   * Convert an AccuWeather daily forecast entry to standard units
+   * @param {Object} day AccuWeather daily forecast entry (metric=true)
+   * @returns {Object} Forecast entry with day and night periods
+   */
+  convertDailyForecast(day) {
+    const convertPeriod = (period) => ({
+      description: period?.IconPhrase || null,
+      windSpeed: convertAccuWeatherForecastWindSpeed(period?.Wind?.Speed),
+      windDirection: convertAccuWeatherWindDirection(period?.Wind?.Direction),
+      windGust: convertAccuWeatherForecastWindSpeed(period?.WindGust?.Speed),
+      precipitationProbability:
+        typeof period?.PrecipitationProbability === 'number'
+          ? percentageToRatio(period.PrecipitationProbability)
+          : null,
+    });
+
+    return {
+      date: day.Date ? new Date(day.Date).toISOString() : null,
+      temperatureMin: convertAccuWeatherForecastTemperature(day.Temperature?.Minimum),
+      temperatureMax: convertAccuWeatherForecastTemperature(day.Temperature?.Maximum),
+      day: convertPeriod(day.Day),
+      night: convertPeriod(day.Night),
+    };
+  }
 }
 
 module.exports = AccuWeatherClient;
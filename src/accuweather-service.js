@@ -1,15 +1,155 @@
+const path = require('node:path');
 const AccuWeatherClient = require('./accuweather-client');
+const LocationCache = require('./location-cache');
+const QuotaManager = require('./quota-manager');
+const WeatherProvider = require('./weather-provider');
+const { calculateDistance } = require('./weather-utils');
+
+// Locations observed within this window share the daily call budget
+const ACTIVE_LOCATION_WINDOW = 3 * 60 * 60 * 1000;
+
+// Relative weights of the daily call budget per request kind; kinds not polled reserve nothing
+const BUDGET_WEIGHTS = { current: 4, forecast: 1, alerts: 1, route: 1 };
+
+// Distance (m) within which a paced result is reused: forecasts and alerts cover a region,
+// route waypoints get their own forecast unless they are close together
+const REUSE_DISTANCES = { forecast: 50 * 1000, alerts: 50 * 1000, route: 10 * 1000 };
+
+// Paced results kept per request kind
+const MAX_PACED_RESULTS = 20;
 
 /**
  * AccuWeather Service
  * Provides a simplified interface for AccuWeather weather data operations
  * Replaces the misleadingly named WeatherAggregator class
  */
-class AccuWeatherService {
+class AccuWeatherService extends WeatherProvider {
+  static providerName = 'AccuWeather';
+
   constructor(settings, debug) {
-    this.settings = settings;
-    this.debug = debug || (() => {});
-    this.accuWeatherClient = new AccuWeatherClient(settings.accuWeatherApiKey, debug);
+    super(settings, debug);
+    this.quota = new QuotaManager(
+      {
+        name: AccuWeatherService.providerName,
+        dailyLimit: settings.accuWeatherDailyLimit ?? 50,
+        filePath: settings.dataDir ? path.join(settings.dataDir, 'accuweather-quota.json') : null,
+      },
+      debug
+    );
+    this.locationCache = new LocationCache(
+      {
+        name: 'AccuWeather location cache',
+        // While recording, every session looks up its location so the recording is self-contained
+        filePath:
+          settings.dataDir && !settings.recorder
+            ? path.join(settings.dataDir, 'accuweather-locations.json')
+            : null,
+      },
+      debug
+    );
+    this.accuWeatherClient = new AccuWeatherClient(settings.accuWeatherApiKey, debug, {
+      quota: this.quota,
+      locationCache: this.locationCache,
+      ...this.getHttpOptions(),
+    });
+    // Last observation per location cache grid cell ({ weatherData, fetchedAt })
+    this.observations = new Map();
+    // Forecast and alert calls draw on the same daily budget as observations
+    this.budgetShares = this.getBudgetShares(settings);
+    this.pacing = {};
+  }
+
+  /**
+   * Split the daily call budget between the request kinds that are polled
+   * A kind that is not polled, such as forecasts asked for through the SignalK Weather API,
+   * reserves nothing and is paced as if it joined the polled kinds
+   * @param {Object} settings Plugin settings
+   * @returns {Object} Fraction of the budget per request kind
+   */
+  getBudgetShares(settings) {
+    const polled = {
+      current: true,
+      forecast: !!settings.enableForecasts,
+      alerts: !!settings.enableAlerts,
+      route: !!settings.enableRouteForecast,
+    };
+    const total = Object.keys(BUDGET_WEIGHTS)
+      .filter((kind) => polled[kind])
+      .reduce((sum, kind) => sum + BUDGET_WEIGHTS[kind], 0);
+    return Object.fromEntries(
+      Object.entries(BUDGET_WEIGHTS).map(([kind, weight]) => [
+        kind,
+        polled[kind] ? weight / total : weight / (total + weight),
+      ])
+    );
+  }
+
+  /**
+   * Serve a forecast, alert or route request within its share of the daily call budget
+   * A result for a nearby position is reused until the next call of this kind is due;
+   * without one the request is deferred until then
+   * @param {string} kind Request kind ('forecast', 'alerts' or 'route')
+   * @param {Object} position Position object with latitude/longitude
+   * @param {number} cost API calls the request makes
+   * @param {Function} request Makes the request and resolves with its result
+   * @returns {Promise<Object>} Fresh or reused result
+   * @throws {Error} When no call is due and nothing nearby has been fetched
+   */
+  async pace(kind, position, cost, request) {
+    if (!this.pacing[kind]) {
+      this.pacing[kind] = { lastCallAt: 0, results: [] };
+    }
+    const state = this.pacing[kind];
+    const now = Date.now();
+    const spacing = this.quota.getCallSpacing(this.budgetShares[kind]) * cost;
+    const due = now - state.lastCallAt >= spacing;
+    const nearby = state.results.find(
+      (result) => calculateDistance(result.position, position) <= REUSE_DISTANCES[kind]
+    );
+
+    if (nearby && (!due || now - nearby.fetchedAt < spacing)) {
+      this.debug(
+        `AccuWeather quota pacing: reusing ${kind} from ${Math.round((now - nearby.fetchedAt) / 60000)} minutes ago`
+      );
+      return nearby.data;
+    }
+    if (!due) {
+      throw new Error(
+        `AccuWeather quota pacing: next ${kind} call in ${Math.ceil((state.lastCallAt + spacing - now) / 60000)} minutes`
+      );
+    }
+
+    // Claim the slot so concurrent requests of this kind are deferred, but give it back when
+    // the request was refused before any call was counted (circuit breaker, quota, rate limit)
+    const previousCallAt = state.lastCallAt;
+    const usedBefore = this.quota.used;
+    state.lastCallAt = now;
+    let data;
+    try {
+      data = await request();
+    } catch (error) {
+      if (this.quota.used === usedBefore) {
+        state.lastCallAt = previousCallAt;
+      }
+      throw error;
+    }
+    state.results = [
+      {
+        position: { latitude: position.latitude, longitude: position.longitude },
+        data,
+        fetchedAt: now,
+      },
+      ...state.results.filter((result) => result !== nearby),
+    ].slice(0, MAX_PACED_RESULTS);
+    return data;
+  }
+
+  /**
+   * Get today's AccuWeather call usage
+   * @returns {Object} Quota status ({ provider, used, limit, remaining, resetsAt })
+   */
+  getQuotaStatus() {
+    return this.quota.getStatus();
   }
 
   /**
@@ -18,24 +158,32 @@ class AccuWeatherService {
    * @returns {Promise<Object>} Weather data from AccuWeather
    */
   async fetchCurrentWeather(position) {
-    if (
-      !position ||
-      typeof position.latitude !== 'number' ||
-      typeof position.longitude !== 'number'
-    ) {
-      throw new Error('Invalid position provided for weather data');
-    }
+    this.validatePosition(position);
 
     if (!this.settings.accuWeatherApiKey) {
       throw new Error('AccuWeather API key not provided');
     }
 
+    // Spread the remaining daily budget over the locations being watched: reuse the last
+    // observation for this location until its next call is due
+    const cell = this.locationCache.getCell(position.latitude, position.longitude);
+    const last = this.observations.get(cell);
+    const spacing =
+      this.quota.getCallSpacing(this.budgetShares.current) * this.getActiveLocationCount(cell);
+    if (last && Date.now() - last.fetchedAt < spacing) {
+      this.debug(
+        `AccuWeather quota pacing: reusing last observation, next call in ${Math.ceil((last.fetchedAt + spacing - Date.now()) / 60000)} minutes`
+      );
+      return last.weatherData;
+    }
+
     try {
       const weatherData = await this.accuWeatherClient.getCurrentWeather(
         position.latitude,
         position.longitude
       );
 
+      this.observations.set(cell, { weatherData, fetchedAt: Date.now() });
       this.debug('Successfully retrieved weather data from AccuWeather');
       return weatherData;
     } catch (error) {
@@ -44,6 +192,133 @@ class AccuWeatherService {
     }
   }
 
+  /**
+   * Count the locations sharing the call budget and forget observations outside the window
+   * @param {string} cell Grid cell of the requested location, always counted
+   * @returns {number} Number of recently observed locations
+   */
+  getActiveLocationCount(cell) {
+    const cutoff = Date.now() - ACTIVE_LOCATION_WINDOW;
+    for (const [key, observation] of this.observations) {
+      if (observation.fetchedAt < cutoff && key !== cell) {
+        this.observations.delete(key);
+      }
+    }
+    return this.observations.has(cell) ? this.observations.size : this.observations.size + 1;
+  }
+
+  /**
+   * Fetch 12-hour hourly and 5-day daily forecasts from AccuWeather API
+   * @param {Object} position Position object with latitude/longitude
+   * @returns {Promise<Object>} Forecast data with `hourly` and `daily` arrays
+   */
+  async fetchForecast(position) {
+    this.validatePosition(position);
+
+    if (!this.settings.accuWeatherApiKey) {
+      throw new Error('AccuWeather API key not provided');
+    }
+
+    try {
+      return await this.pace('forecast', position, 2, async () => {
+        // Sequential so the second call reuses the location key cached by the first
+        const hourly = await this.accuWeatherClient.getHourlyForecast(
+          position.latitude,
+          position.longitude
+        );
+        const daily = await this.accuWeatherClient.getDailyForecast(
+          position.latitude,
+          position.longitude
+        );
+
+        this.debug(
+          `Successfully retrieved AccuWeather forecast: ${hourly.length} hours, ${daily.length} days`
+        );
+        return {
+          hourly,
+          daily,
+          timestamp: new Date().toISOString(),
+          source: 'AccuWeather',
+        };
+      });
+    } catch (error) {
+      this.debug('AccuWeather forecast error:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Fetch only the 12-hour hourly forecast, for route waypoints
+   * Paced within the route share of the daily budget, one call per waypoint
+   * @param {Object} position Position object with latitude/longitude
+   * @returns {Promise<Object>} Forecast data with an `hourly` array
+   */
+  async fetchHourlyForecast(position) {
+    this.validatePosition(position);
+
+    if (!this.settings.accuWeatherApiKey) {
+      throw new Error('AccuWeather API key not provided');
+    }
+
+    try {
+      return await this.pace('route', position, 1, async () => {
+        const hourly = await this.accuWeatherClient.getHourlyForecast(
+          position.latitude,
+          position.longitude
+        );
+
+        this.debug(`Successfully retrieved AccuWeather hourly forecast: ${hourly.length} hours`);
+        return {
+          hourly,
+          timestamp: new Date().toISOString(),
+          source: 'AccuWeather',
+        };
+      });
+    } catch (error) {
+      this.debug('AccuWeather hourly forecast error:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Fetch active severe weather alerts from AccuWeather API
+   * @param {Object} position Position object with latitude/longitude
+   * @returns {Promise<Object>} Alert data with an `alerts` array
+   */
+  async fetchAlerts(position) {
+    this.validatePosition(position);
+
+    if (!this.settings.accuWeatherApiKey) {
+      throw new Error('AccuWeather API key not provided');
+    }
+
+    try {
+      return await this.pace('alerts', position, 1, async () => {
+        const alerts = await this.accuWeatherClient.getAlerts(
+          position.latitude,
+          position.longitude
+        );
+
+        this.debug(`Successfully retrieved ${alerts.length} AccuWeather alerts`);
+        return {
+          alerts,
+          timestamp: new Date().toISOString(),
+          source: 'AccuWeather',
+        };
+      });
+    } catch (error) {
+      this.debug('AccuWeather alerts error:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Abort in-flight AccuWeather requests
+   */
+  cancel() {
+    this.accuWeatherClient.cancel();
+  }
+
   /**
    * Get AccuWeather client instance for advanced operations
    * @returns {AccuWeatherClient} AccuWeather client instance
@@ -0,0 +1,130 @@
+const WeatherProvider = require('./weather-provider');
+const { calculateDistance } = require('./weather-utils');
+
+const METERS_PER_NAUTICAL_MILE = 1852;
+
+// Weather fields and the paths AIS weather stations publish them on, in order of preference
+const STATION_FIELDS = {
+  windSpeed: [
+    'environment.wind.averageSpeed',
+    'environment.wind.speedTrue',
+    'environment.wind.speedOverGround',
+  ],
+  windDirection: ['environment.wind.directionTrue'],
+  windGust: ['environment.wind.gust', 'environment.wind.speedGust'],
+  temperature: ['environment.outside.temperature'],
+  humidity: ['environment.outside.relativeHumidity'],
+  dewPoint: ['environment.outside.dewPointTemperature'],
+  pressure: ['environment.outside.pressure'],
+  visibility: ['environment.outside.horizontalVisibility'],
+};
+
+// Fields taken together from a single station
+const WIND_FIELDS = ['windSpeed', 'windDirection'];
+
+/**
+ * AIS Weather Station Service
+ * Weather provider backed by the AIS meteorological and hydrographic broadcasts SignalK
+ * receives as `meteo.*` contexts. Stations are free, local and work without internet;
+ * each field comes from the nearest station within the radius that reports it fresh, with
+ * wind speed and direction always taken from the same station.
+ */
+class AisStationService extends WeatherProvider {
+  static providerName = 'AIS';
+
+  constructor(settings, debug) {
+    super(settings, debug);
+    if (!settings.signalkClient) {
+      throw new Error('AIS weather stations need access to SignalK data');
+    }
+    this.signalkClient = settings.signalkClient;
+    this.radius = (settings.aisStationRadius ?? 10) * METERS_PER_NAUTICAL_MILE;
+    this.maxAge = (settings.aisStationMaxAge ?? 30) * 60;
+  }
+
+  /**
+   * Stations come and go with range, so a failure only means none is close enough right now
+   * @returns {boolean} Always true
+   */
+  get isLocal() {
+    return true;
+  }
+
+  /**
+   * Combine the fresh readings of the nearest AIS weather stations
+   * @param {Object} position Position object with latitude/longitude
+   * @returns {Promise<Object>} Weather data with the id, name and distance of the nearest station
+   *   and of the station the wind comes from
+   * @throws {Error} When no station within the radius has fresh data
+   */
+  async fetchCurrentWeather(position) {
+    this.validatePosition(position);
+
+    const stations = this.signalkClient
+      .getMeteoStations(Object.values(STATION_FIELDS).flat(), this.maxAge)
+      .map((station) => ({ ...station, distance: calculateDistance(position, station.position) }))
+      .filter((station) => station.distance <= this.radius && Object.keys(station.values).length)
+      .sort((a, b) => a.distance - b.distance);
+
+    if (stations.length === 0) {
+      throw new Error(
+        `No AIS weather station with fresh data within ${this.radius / METERS_PER_NAUTICAL_MILE} nm`
+      );
+    }
+
+    // Wind speed and direction form one vector, so both come from the nearest station
+    // reporting the pair; every other field comes from the nearest station reporting it
+    const weatherData = {};
+    const readings = [];
+    const windStation = stations.find(
+      (station) =>
+        this.findReading(station, STATION_FIELDS.windSpeed) &&
+        this.findReading(station, STATION_FIELDS.windDirection)
+    );
+    for (const [field, paths] of Object.entries(STATION_FIELDS)) {
+      const candidates = WIND_FIELDS.includes(field) ? [windStation].filter(Boolean) : stations;
+      const reading = candidates.map((station) => this.findReading(station, paths)).find(Boolean);
+      weatherData[field] = reading ? reading.value : null;
+      if (reading) {
+        readings.push(reading);
+      }
+    }
+
+    // A lone wind speed without a direction is not usable
+    if (readings.length === 0) {
+      throw new Error('No AIS weather station within range reports usable data');
+    }
+
+    // The oldest reading dates the result
+    const oldest = Math.min(...readings.map((reading) => Date.parse(reading.timestamp)));
+    const [nearest] = stations;
+    this.debug(
+      `Using ${stations.length} AIS weather stations, nearest ${nearest.name} at ${Math.round(nearest.distance)} m`
+    );
+
+    return {
+      ...weatherData,
+      description: null,
+      timestamp: new Date(oldest).toISOString(),
+      source: 'AIS',
+      stationId: nearest.id,
+      stationName: nearest.name,
+      stationDistance: nearest.distance,
+      windStationId: windStation ? windStation.id : null,
+      windStationName: windStation ? windStation.name : null,
+      windStationDistance: windStation ? windStation.distance : null,
+    };
+  }
+
+  /**
+   * Get a station's first fresh reading among the paths of a field
+   * @param {Object} station Station with `values` keyed by path
+   * @param {Array<string>} paths Paths in order of preference
+   * @returns {Object|undefined} Reading ({ value, timestamp }) or undefined
+   */
+  findReading(station, paths) {
+    return paths.map((path) => station.values[path]).find(Boolean);
+  }
+}
+
+module.exports = AisStationService;
@@ -0,0 +1,110 @@
+/**
+ * Fetch Scheduler
+ * Decides when to fetch new weather data based on vessel motion
+ * - Underway: every update interval, or earlier once the vessel has moved the refetch distance
+ * - Moored or at anchor: backs off to the maximum interval
+ * No fetch happens sooner than the minimum interval after the previous one
+ */
+
+const { calculateDistance } = require('./weather-utils');
+
+const METERS_PER_NAUTICAL_MILE = 1852;
+
+class FetchScheduler {
+  /**
+   * @param {Object} options Scheduler options
+   * @param {number} options.updateInterval Interval while underway in ms
+   * @param {number} options.minInterval Minimum interval between fetches in ms
+   * @param {number} options.maxInterval Interval while moored or at anchor in ms
+   * @param {number} options.refetchDistance Distance from the last fetch position that
+   *   triggers an early fetch, in nautical miles (0 disables)
+   * @param {Function} [debug] Debug logger
+   */
+  constructor(options, debug) {
+    this.debug = debug || (() => {});
+    this.minInterval = options.minInterval;
+    this.maxInterval = Math.max(options.maxInterval, options.minInterval);
+    this.updateInterval = Math.min(
+      Math.max(options.updateInterval, this.minInterval),
+      this.maxInterval
+    );
+    this.refetchDistance = options.refetchDistance * METERS_PER_NAUTICAL_MILE;
+    this.lastFetchTime = null;
+    this.lastFetchPosition = null;
+    this.moving = true;
+  }
+
+  /**
+   * Record that a fetch was started
+   * @param {Object|null} position Position the weather was fetched for
+   * @param {number} [now] Current time in ms
+   */
+  recordFetch(position, now = Date.now()) {
+    this.lastFetchTime = now;
+    this.lastFetchPosition = position || null;
+  }
+
+  /**
+   * Get the interval that applies to the current motion state
+   * @returns {number} Interval in ms
+   */
+  getInterval() {
+    return this.moving ? this.updateInterval : this.maxInterval;
+  }
+
+  /**
+   * Decide whether a fetch is due
+   * @param {Object} state Current vessel state
+   * @param {Object|null} state.position Vessel position
+   * @param {boolean} state.moving Whether the vessel is making way
+   * @param {number} [now] Current time in ms
+   * @returns {string|null} Reason for fetching ('initial', 'interval', 'distance') or null
+   */
+  shouldFetch({ position, moving }, now = Date.now()) {
+    if (moving !== this.moving) {
+      this.debug(`Vessel ${moving ? 'underway' : 'moored or at anchor'}, adjusting fetch interval`);
+      this.moving = moving;
+    }
+
+    if (this.lastFetchTime === null) {
+      return 'initial';
+    }
+
+    const elapsed = now - this.lastFetchTime;
+    if (elapsed >= this.getInterval()) {
+      return 'interval';
+    }
+
+    if (
+      this.refetchDistance > 0 &&
+      elapsed >= this.minInterval &&
+      this.getDistanceMoved(position) >= this.refetchDistance
+    ) {
+      return 'distance';
+    }
+
+    return null;
+  }
+
+  /**
+   * Get the distance moved since the last fetch
+   * @param {Object|null} position Current vessel position
+   * @returns {number} Distance in meters (0 when either position is unknown)
+   */
+  getDistanceMoved(position) {
+    if (!position || !this.lastFetchPosition) {
+      return 0;
+    }
+    return calculateDistance(this.lastFetchPosition, position);
+  }
+
+  /**
+   * Get when the next interval-based fetch is due
+   * @returns {number|null} Time in ms or null before the first fetch
+   */
+  getNextFetchTime() {
+    return this.lastFetchTime === null ? null : this.lastFetchTime + this.getInterval();
+  }
+}
+
+module.exports = FetchScheduler;
@@ -0,0 +1,130 @@
+/**
+ * Fixed Locations
+ * Named places such as the home marina or the planned anchorage that get weather
+ * on their own schedule, independent of the vessel position. Each location keeps its
+ * latest observation for publishing under a separate `meteo.<id>` context.
+ */
+
+const { isValidNumber } = require('./weather-utils');
+
+// Location ids become part of the SignalK context, so they are limited to path-safe characters
+const LOCATION_ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+class FixedLocations {
+  /**
+   * @param {Array<Object>} [locations] Configured locations
+   *   ({ id, name, latitude, longitude, updateFrequency in minutes })
+   * @param {Function} [debug] Debug logger
+   */
+  constructor(locations = [], debug) {
+    this.debug = debug || (() => {});
+    this.locations = new Map();
+
+    for (const location of locations) {
+      const id = location?.id;
+      if (!LOCATION_ID_PATTERN.test(id || '') || this.locations.has(id)) {
+        this.debug(`Skipping location with missing or duplicate id: ${JSON.stringify(location)}`);
+        continue;
+      }
+      if (
+        !isValidNumber(location.latitude, -90, 90) ||
+        !isValidNumber(location.longitude, -180, 180)
+      ) {
+        this.debug(`Skipping location ${id} with invalid coordinates`);
+        continue;
+      }
+
+      this.locations.set(id, {
+        id,
+        name: location.name || id,
+        position: { latitude: location.latitude, longitude: location.longitude },
+        interval: (location.updateFrequency || 30) * 60 * 1000,
+        nextFetchAt: 0,
+        weatherData: null,
+        lastUpdate: null,
+      });
+    }
+  }
+
+  /**
+   * Number of valid configured locations
+   * @returns {number} Location count
+   */
+  get size() {
+    return this.locations.size;
+  }
+
+  /**
+   * Get the first configured location, used when the vessel position is unavailable
+   * @returns {Object|null} Location ({ id, name, position }) or null
+   */
+  getFirst() {
+    return this.locations.values().next().value || null;
+  }
+
+  /**
+   * Get the locations whose next fetch is due
+   * @param {number} [now] Current time in ms
+   * @returns {Array<Object>} Due locations in configured order
+   */
+  getDue(now = Date.now()) {
+    return [...this.locations.values()].filter((location) => location.nextFetchAt <= now);
+  }
+
+  /**
+   * Record that a fetch was started, so a failing location is retried on its next interval
+   * @param {string} id Location id
+   * @param {number} [now] Current time in ms
+   */
+  recordFetch(id, now = Date.now()) {
+    const location = this.locations.get(id);
+    if (location) {
+      location.nextFetchAt = now + location.interval;
+    }
+  }
+
+  /**
+   * Store the latest observation for a location
+   * @param {string} id Location id
+   * @param {Object} weatherData Normalized weather data
+   * @param {Date} [now] Update time
+   */
+  setWeather(id, weatherData, now = new Date()) {
+    const location = this.locations.get(id);
+    if (location) {
+      location.weatherData = weatherData;
+      location.lastUpdate = now;
+    }
+  }
+
+  /**
+   * Get the latest observation of every location that has one
+   * @returns {Array<Object>} Entries ({ location: { id, name, position }, weatherData, lastUpdate })
+   */
+  getWeather() {
+    return [...this.locations.values()]
+      .filter((location) => location.weatherData)
+      .map(({ id, name, position, weatherData, lastUpdate }) => ({
+        location: { id, name, position },
+        weatherData,
+        lastUpdate,
+      }));
+  }
+
+  /**
+   * Get the schedule of every location for diagnostics
+   * @returns {Array<Object>} Status records ({ id, name, lastUpdate, nextScheduledFetch })
+   */
+  getStatus() {
+    return [...this.locations.values()].map((location) => ({
+      id: location.id,
+      name: location.name,
+      lastUpdate: location.lastUpdate ? location.lastUpdate.toISOString() : null,
+      nextScheduledFetch: location.nextFetchAt
+        ? new Date(location.nextFetchAt).toISOString()
+        : null,
+    }));
+  }
+}
+
+module.exports = FixedLocations;
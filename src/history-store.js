@@ -0,0 +1,211 @@
+const fs = require('node:fs');
+const path = require('node:path');
+
+// Fields combined with a circular mean when downsampling
+const ANGULAR_FIELDS = new Set([
+  'windDirection',
+  'apparentWindAngle',
+  'trueWindAngleGround',
+  'trueWindAngleWater',
+]);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Weather History Store
+ * Appends every normalized observation to daily JSON Lines files in the plugin
+ * data directory. Files older than the retention period are deleted, so the
+ * directory behaves as an on-disk ring buffer.
+ */
+class HistoryStore {
+  /**
+   * @param {string} dataDir Plugin data directory (app.getDataDirPath())
+   * @param {Object} [options] Store options
+   * @param {number} [options.retentionDays] Days of history to keep (default: 30)
+   * @param {Function} debug Debug logger
+   */
+  constructor(dataDir, options, debug) {
+    this.directory = path.join(dataDir, 'history');
+    this.retentionDays = options?.retentionDays ?? 30;
+    this.debug = debug || (() => {});
+    this.lastPruneDay = null;
+  }
+
+  /**
+   * Append an observation with the vessel position
+   * @param {Object} weatherData Normalized weather data
+   * @param {Object|null} position Vessel position with latitude/longitude
+   * @returns {Promise<void>}
+   */
+  async append(weatherData, position) {
+    const now = new Date();
+    const record = {
+      timestamp: weatherData.timestamp || now.toISOString(),
+      recordedAt: now.toISOString(),
+      position: position ? { latitude: position.latitude, longitude: position.longitude } : null,
+      ...weatherData,
+    };
+
+    try {
+      await fs.promises.mkdir(this.directory, { recursive: true });
+      await fs.promises.appendFile(this.getFilePath(now), `${JSON.stringify(record)}\n`);
+
+      const day = this.getDayKey(now);
+      if (day !== this.lastPruneDay) {
+        this.lastPruneDay = day;
+        await this.prune(now);
+      }
+    } catch (error) {
+      this.debug('Error appending weather history:', error);
+    }
+  }
+
+  /**
+   * Delete day files older than the retention period
+   * @param {Date} now Current time
+   * @returns {Promise<void>}
+   */
+  async prune(now) {
+    const oldestKept = this.getDayKey(new Date(now.getTime() - this.retentionDays * DAY_MS));
+    const files = await fs.promises.readdir(this.directory);
+
+    for (const file of files) {
+      const day = path.basename(file, '.jsonl');
+      if (file.endsWith('.jsonl') && day < oldestKept) {
+        await fs.promises.unlink(path.join(this.directory, file));
+        this.debug(`Removed weather history older than ${this.retentionDays} days: ${file}`);
+      }
+    }
+  }
+
+  /**
+   * Query the time series of one field
+   * @param {string} field Weather data field (e.g. 'pressure', 'windSpeed')
+   * @param {Date} from Range start
+   * @param {Date} to Range end
+   * @param {number} [interval] Downsampling bucket size in seconds (0 or omitted: raw samples)
+   * @returns {Promise<Array<Object>>} Samples ({ timestamp, value, position })
+   */
+  async query(field, from, to, interval = 0) {
+    const samples = [];
+
+    for (let day = this.startOfDay(from); day <= to.getTime(); day += DAY_MS) {
+      const records = await this.readDay(new Date(day));
+      for (const record of records) {
+        const time = Date.parse(record.timestamp);
+        const value = record[field];
+        if (time < from.getTime() || time > to.getTime() || value === undefined || value === null) {
+          continue;
+        }
+        samples.push({ timestamp: record.timestamp, value, position: record.position });
+      }
+    }
+
+    samples.sort((a, b) => Date.parse(a.timestamp) - Date.parse(b.timestamp));
+
+    if (!interval || interval <= 0) {
+      return samples;
+    }
+    return this.downsample(field, samples, interval * 1000);
+  }
+
+  /**
+   * Average numeric samples into fixed time buckets
+   * @param {string} field Field name (angular fields use a circular mean)
+   * @param {Array<Object>} samples Samples sorted by time
+   * @param {number} bucketMs Bucket size in milliseconds
+   * @returns {Array<Object>} One sample per non-empty bucket, stamped at the bucket start
+   */
+  downsample(field, samples, bucketMs) {
+    const buckets = new Map();
+    for (const sample of samples) {
+      if (typeof sample.value !== 'number') {
+        continue;
+      }
+      const bucket = Math.floor(Date.parse(sample.timestamp) / bucketMs) * bucketMs;
+      if (!buckets.has(bucket)) {
+        buckets.set(bucket, []);
+      }
+      buckets.get(bucket).push(sample);
+    }
+
+    return [...buckets.entries()].map(([bucket, bucketSamples]) => {
+      const values = bucketSamples.map((sample) => sample.value);
+      let value;
+      if (ANGULAR_FIELDS.has(field)) {
+        const sin = values.reduce((sum, angle) => sum + Math.sin(angle), 0);
+        const cos = values.reduce((sum, angle) => sum + Math.cos(angle), 0);
+        value = Math.atan2(sin, cos);
+        if (field === 'windDirection' && value < 0) {
+          value += 2 * Math.PI;
+        }
+      } else {
+        value = values.reduce((sum, item) => sum + item, 0) / values.length;
+      }
+
+      return {
+        timestamp: new Date(bucket).toISOString(),
+        value,
+        count: values.length,
+        position: bucketSamples[bucketSamples.length - 1].position,
+      };
+    });
+  }
+
+  /**
+   * Read all records stored for a day
+   * @param {Date} date Any time within the day (UTC)
+   * @returns {Promise<Array<Object>>} Records, skipping unreadable lines
+   */
+  async readDay(date) {
+    let content;
+    try {
+      content = await fs.promises.readFile(this.getFilePath(date), 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+
+    const records = [];
+    for (const line of content.split('\n')) {
+      if (!line) continue;
+      try {
+        records.push(JSON.parse(line));
+      } catch (_error) {
+        // A partial line can be left behind by a power loss - skip it
+      }
+    }
+    return records;
+  }
+
+  /**
+   * UTC day key used as the file name (YYYY-MM-DD)
+   * @param {Date} date Date
+   * @returns {string} Day key
+   */
+  getDayKey(date) {
+    return date.toISOString().slice(0, 10);
+  }
+
+  /**
+   * Path of the history file holding a date
+   * @param {Date} date Date
+   * @returns {string} File path
+   */
+  getFilePath(date) {
+    return path.join(this.directory, `${this.getDayKey(date)}.jsonl`);
+  }
+
+  /**
+   * Start of the UTC day containing a date
+   * @param {Date} date Date
+   * @returns {number} Milliseconds since epoch
+   */
+  startOfDay(date) {
+    return Math.floor(date.getTime() / DAY_MS) * DAY_MS;
+  }
+}
+
+module.exports = HistoryStore;
@@ -0,0 +1,270 @@
+const fetch = require('node-fetch');
+
+/**
+ * Create a request error carrying the HTTP status
+ * @param {string} message Error message
+ * @param {number|null} [status] HTTP status (null for network errors, timeouts and cancellation)
+ * @returns {Error} Error with status property
+ */
+function createHttpError(message, status = null) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Resilient HTTP Client
+ * Shared by all weather API clients:
+ * - every request has a timeout
+ * - 5xx responses and network errors are retried with exponential backoff and jitter
+ * - 401 opens a circuit breaker: no further requests until the plugin restarts with new settings
+ * - 429 honours Retry-After before the next request
+ * - cancel() aborts in-flight requests and pending retries when the plugin stops
+ * - responses can be recorded, or served from a recording instead of the network
+ */
+class HttpClient {
+  /**
+   * @param {Object} options Client options
+   * @param {string} options.name API name used in error messages
+   * @param {Object} [options.headers] Headers sent with every request
+   * @param {number} [options.timeout] Request timeout in ms (default: 15000)
+   * @param {number} [options.retries] Retries for 5xx and network errors (default: 2)
+   * @param {number} [options.retryDelay] Base backoff delay in ms (default: 1000)
+   * @param {Object} [options.errorMessages] Messages for specific HTTP statuses
+   * @param {Function} [options.beforeRequest] Called before every attempt, may throw to refuse it
+   * @param {WeatherRecorder} [options.recorder] Records every successful response
+   * @param {WeatherReplay} [options.replay] Serves recorded responses instead of the network
+   * @param {Function} debug Debug logger
+   */
+  constructor(options, debug) {
+    this.name = options.name;
+    this.headers = options.headers || {};
+    this.timeout = options.timeout ?? 15000;
+    this.retries = options.retries ?? 2;
+    this.retryDelay = options.retryDelay ?? 1000;
+    this.errorMessages = options.errorMessages || {};
+    this.beforeRequest = options.beforeRequest || (() => {});
+    this.recorder = options.recorder || null;
+    this.replay = options.replay || null;
+    this.debug = debug || (() => {});
+    this.circuitOpenReason = null;
+    this.retryAfterUntil = 0;
+    this.cancelled = false;
+    this.controllers = new Set();
+    this.pendingRetries = new Map();
+  }
+
+  /**
+   * GET a URL and parse the JSON response
+   * @param {string} url Request URL
+   * @param {Object} [options] Request options
+   * @param {Object} [options.headers] Additional headers for this request
+   * @param {Object} [options.position] Position the request is made for, stored with the recording
+   * @returns {Promise<Object>} Parsed JSON response
+   * @throws {Error} When the request fails after all retries or is not allowed
+   */
+  async getJson(url, options = {}) {
+    if (this.replay) {
+      return this.replay.getJson(this.name, url);
+    }
+
+    this.checkAllowed();
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await this.attempt(url, options);
+      } catch (error) {
+        if (!this.isRetryable(error) || attempt >= this.retries) {
+          throw error;
+        }
+
+        const delay = this.getBackoffDelay(attempt);
+        this.debug(
+          `${this.name} request failed (${error.message}), retrying in ${Math.round(delay)} ms`
+        );
+        await this.wait(delay);
+      }
+    }
+  }
+
+  /**
+   * Refuse requests while the circuit breaker is open, a Retry-After is pending or after cancel()
+   * @throws {Error} When requests are not allowed
+   */
+  checkAllowed() {
+    if (this.cancelled) {
+      throw createHttpError(`${this.name} request cancelled`);
+    }
+    if (this.circuitOpenReason) {
+      throw createHttpError(
+        `${this.circuitOpenReason} - ${this.name} requests are suspended until the plugin configuration is updated`,
+        401
+      );
+    }
+    if (Date.now() < this.retryAfterUntil) {
+      throw createHttpError(
+        `${this.errorMessages[429] || `${this.name} API rate limit exceeded`} - next request allowed after ${new Date(this.retryAfterUntil).toISOString()}`,
+        429
+      );
+    }
+  }
+
+  /**
+   * Perform one request with a timeout
+   * @param {string} url Request URL
+   * @param {Object} options Request options ({ headers, position })
+   * @returns {Promise<Object>} Parsed JSON response
+   */
+  async attempt(url, options) {
+    this.beforeRequest();
+
+    const controller = new AbortController();
+    let timedOut = false;
+    const timer = setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, this.timeout);
+    this.controllers.add(controller);
+
+    try {
+      const response = await fetch(url, {
+        headers: { ...this.headers, ...options.headers },
+        signal: controller.signal,
+      });
+
+      if (!response.ok) {
+        throw this.createStatusError(response);
+      }
+
+      const body = await response.json();
+      this.recorder?.record(this.name, this.redact(url), body, options.position);
+      return body;
+    } catch (error) {
+      if (error.status !== undefined) {
+        throw error;
+      }
+      if (error.name === 'AbortError') {
+        throw createHttpError(
+          timedOut
+            ? `${this.name} request timed out after ${this.timeout / 1000} seconds`
+            : `${this.name} request cancelled`
+        );
+      }
+      // Network errors quote the URL, which may contain an API key
+      throw createHttpError(`${this.name} request failed: ${this.redact(error.message)}`);
+    } finally {
+      clearTimeout(timer);
+      this.controllers.delete(controller);
+    }
+  }
+
+  /**
+   * Build the error for a non-2xx response and update the breaker and rate limit state
+   * @param {Object} response Fetch response
+   * @returns {Error} Error to throw
+   */
+  createStatusError(response) {
+    const message =
+      this.errorMessages[response.status] ||
+      `${this.name} API returned ${response.status}: ${response.statusText}`;
+
+    if (response.status === 401) {
+      this.circuitOpenReason = message;
+      this.debug(`${this.name} returned 401, suspending requests`);
+    }
+
+    if (response.status === 429) {
+      const retryAfter = this.parseRetryAfter(response.headers.get('retry-after'));
+      if (retryAfter !== null) {
+        this.retryAfterUntil = Date.now() + retryAfter;
+        this.debug(`${this.name} rate limited, waiting ${retryAfter / 1000} seconds`);
+      }
+    }
+
+    return createHttpError(message, response.status);
+  }
+
+  /**
+   * Parse a Retry-After header (delay in seconds or HTTP date)
+   * @param {string|null} value Header value
+   * @returns {number|null} Delay in ms or null if missing or invalid
+   */
+  parseRetryAfter(value) {
+    if (!value) {
+      return null;
+    }
+
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) {
+      return Math.max(0, seconds * 1000);
+    }
+
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+  }
+
+  /**
+   * Only server errors, timeouts and network errors are worth retrying
+   * @param {Error} error Request error
+   * @returns {boolean} True if the request should be retried
+   */
+  isRetryable(error) {
+    if (this.cancelled) {
+      return false;
+    }
+    return error.status === null || error.status >= 500;
+  }
+
+  /**
+   * Exponential backoff with full jitter
+   * @param {number} attempt Zero-based attempt number
+   * @returns {number} Delay in ms
+   */
+  getBackoffDelay(attempt) {
+    return Math.random() * this.retryDelay * 2 ** attempt;
+  }
+
+  /**
+   * Wait before a retry; cancel() rejects the wait
+   * @param {number} delay Delay in ms
+   * @returns {Promise<void>}
+   */
+  wait(delay) {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pendingRetries.delete(timer);
+        resolve();
+      }, delay);
+      this.pendingRetries.set(timer, reject);
+    });
+  }
+
+  /**
+   * Abort in-flight requests and pending retries; later requests are refused
+   */
+  cancel() {
+    this.cancelled = true;
+
+    for (const controller of this.controllers) {
+      controller.abort();
+    }
+    this.controllers.clear();
+
+    for (const [timer, reject] of this.pendingRetries) {
+      clearTimeout(timer);
+      reject(createHttpError(`${this.name} request cancelled`));
+    }
+    this.pendingRetries.clear();
+  }
+
+  /**
+   * Remove API keys from text that may quote a request URL
+   * @param {string} text Text to redact
+   * @returns {string} Redacted text
+   */
+  redact(text) {
+    return String(text).replace(/(apikey=)[^&\s]+/gi, '$1***');
+  }
+}
+
+module.exports = HttpClient;
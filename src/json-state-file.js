@@ -0,0 +1,63 @@
+const fs = require('node:fs');
+const path = require('node:path');
+
+/**
+ * JSON State File
+ * Small piece of plugin state persisted as JSON in the plugin data directory so it
+ * survives restarts. Reads are synchronous for use in constructors; writes are
+ * chained so an older state never overwrites a newer one. Without a file path the
+ * state is kept in memory only.
+ */
+class JsonStateFile {
+  /**
+   * @param {Object} options File options
+   * @param {string} options.name Description used in log messages
+   * @param {string|null} [options.filePath] File to persist to (memory only when null)
+   * @param {Function} debug Debug logger
+   */
+  constructor(options, debug) {
+    this.name = options.name;
+    this.filePath = options.filePath || null;
+    this.debug = debug || (() => {});
+    this.pendingSave = Promise.resolve();
+  }
+
+  /**
+   * Read the saved state
+   * @returns {*} Parsed contents or null when missing or unreadable
+   */
+  load() {
+    if (!this.filePath) {
+      return null;
+    }
+
+    try {
+      return JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        this.debug(`Error reading ${this.name} file:`, error);
+      }
+      return null;
+    }
+  }
+
+  /**
+   * Write the state in the background
+   * @param {*} data JSON-serializable state
+   * @returns {Promise<void>} Resolves once this write has finished
+   */
+  save(data) {
+    if (!this.filePath) {
+      return this.pendingSave;
+    }
+
+    const contents = JSON.stringify(data);
+    this.pendingSave = this.pendingSave
+      .then(() => fs.promises.mkdir(path.dirname(this.filePath), { recursive: true }))
+      .then(() => fs.promises.writeFile(this.filePath, contents))
+      .catch((error) => this.debug(`Error saving ${this.name} file:`, error));
+    return this.pendingSave;
+  }
+}
+
+module.exports = JsonStateFile;
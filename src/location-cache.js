@@ -0,0 +1,105 @@
+const JsonStateFile = require('./json-state-file');
+
+/**
+ * Location Key Cache
+ * Remembers provider location keys (e.g. AccuWeather city keys or NWS station lists)
+ * on a coarse latitude/longitude grid, so small vessel movements and plugin restarts
+ * do not cost another geoposition lookup. Entries are persisted to the plugin data
+ * directory and the least recently used ones are dropped beyond the size limit.
+ */
+class LocationCache {
+  /**
+   * @param {Object} [options] Cache options
+   * @param {string} [options.name] Description used in log messages
+   * @param {string|null} [options.filePath] File to persist the cache in (memory only when null)
+   * @param {number} [options.gridSize] Grid cell size in degrees (default: 0.1, about 11 km)
+   * @param {number} [options.maxEntries] Maximum cached cells (default: 500)
+   * @param {Function} debug Debug logger
+   */
+  constructor(options = {}, debug) {
+    this.gridSize = options.gridSize ?? 0.1;
+    this.maxEntries = options.maxEntries ?? 500;
+    this.debug = debug || (() => {});
+    this.file = new JsonStateFile(
+      { name: options.name || 'location cache', filePath: options.filePath },
+      this.debug
+    );
+    this.entries = new Map();
+
+    this.load();
+  }
+
+  /**
+   * Restore cached entries from disk
+   */
+  load() {
+    const saved = this.file.load();
+    if (!saved || typeof saved.entries !== 'object' || saved.gridSize !== this.gridSize) {
+      return;
+    }
+
+    for (const [cell, entry] of Object.entries(saved.entries)) {
+      this.entries.set(cell, entry);
+    }
+    this.debug(`Restored ${this.entries.size} cached location keys`);
+  }
+
+  /**
+   * Persist the cache
+   */
+  save() {
+    this.file.save({ gridSize: this.gridSize, entries: Object.fromEntries(this.entries) });
+  }
+
+  /**
+   * Get the cached entry for the grid cell containing a position
+   * @param {number} latitude Latitude in degrees
+   * @param {number} longitude Longitude in degrees
+   * @returns {Object|null} Cached entry ({ key, name, savedAt }) or null
+   */
+  get(latitude, longitude) {
+    const cell = this.getCell(latitude, longitude);
+    const entry = this.entries.get(cell);
+    if (!entry) {
+      return null;
+    }
+
+    // Move to the end so the least recently used cell is evicted first
+    this.entries.delete(cell);
+    this.entries.set(cell, entry);
+    return entry;
+  }
+
+  /**
+   * Cache a location key for the grid cell containing a position
+   * @param {number} latitude Latitude in degrees
+   * @param {number} longitude Longitude in degrees
+   * @param {string|Array<string>} key Provider location key, or several (e.g. nearest stations)
+   * @param {string} [name] Human readable location name
+   */
+  set(latitude, longitude, key, name) {
+    const cell = this.getCell(latitude, longitude);
+    this.entries.delete(cell);
+    this.entries.set(cell, { key, name: name || null, savedAt: new Date().toISOString() });
+
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+
+    this.save();
+  }
+
+  /**
+   * Get the grid cell identifier for a position
+   * @param {number} latitude Latitude in degrees
+   * @param {number} longitude Longitude in degrees
+   * @returns {string} Cell identifier, e.g. '42.3,-71.0'
+   */
+  getCell(latitude, longitude) {
+    const decimals = Math.max(0, Math.ceil(-Math.log10(this.gridSize)));
+    const snap = (value) => (Math.round(value / this.gridSize) * this.gridSize).toFixed(decimals);
+    return `${snap(latitude)},${snap(longitude)}`;
+  }
+}
+
+module.exports = LocationCache;
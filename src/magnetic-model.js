@@ -0,0 +1,222 @@
+/**
+ * World Magnetic Model
+ * Computes magnetic variation (declination) offline from the bundled WMM2025 coefficients
+ * Coefficients: NOAA NCEI / BGS World Magnetic Model 2025, valid 2025.0 to 2030.0
+ */
+
+const { degreesToRadians } = require('./weather-utils');
+
+const WMM_EPOCH = 2025.0;
+const WMM_NAME = 'WMM-2025';
+const MAX_DEGREE = 12;
+
+// Geomagnetic reference radius and WGS84 ellipsoid (km)
+const REFERENCE_RADIUS = 6371.2;
+const WGS84_A = 6378.137;
+const WGS84_E2 = 0.00669437999014;
+
+// [n, m, g (nT), h (nT), g secular variation (nT/yr), h secular variation (nT/yr)]
+const WMM_COEFFICIENTS = [
+  [1, 0, -29351.8, 0, 12, 0],
+  [1, 1, -1410.8, 4545.4, 9.7, -21.5],
+  [2, 0, -2556.6, 0, -11.6, 0],
+  [2, 1, 2951.1, -3133.6, -5.2, -27.7],
+  [2, 2, 1649.3, -815.1, -8, -12.1],
+  [3, 0, 1361, 0, -1.3, 0],
+  [3, 1, -2404.1, -56.6, -4.2, 4],
+  [3, 2, 1243.8, 237.5, 0.4, -0.3],
+  [3, 3, 453.6, -549.5, -15.6, -4.1],
+  [4, 0, 895, 0, -1.6, 0],
+  [4, 1, 799.5, 278.6, -2.4, -1.1],
+  [4, 2, 55.7, -133.9, -6, 4.1],
+  [4, 3, -281.1, 212, 5.6, 1.6],
+  [4, 4, 12.1, -375.6, -7, -4.4],
+  [5, 0, -233.2, 0, 0.6, 0],
+  [5, 1, 368.9, 45.4, 1.4, -0.5],
+  [5, 2, 187.2, 220.2, 0, 2.2],
+  [5, 3, -138.7, -122.9, 0.6, 0.4],
+  [5, 4, -142, 43, 2.2, 1.7],
+  [5, 5, 20.9, 106.1, 0.9, 1.9],
+  [6, 0, 64.4, 0, -0.2, 0],
+  [6, 1, 63.8, -18.4, -0.4, 0.3],
+  [6, 2, 76.9, 16.8, 0.9, -1.6],
+  [6, 3, -115.7, 48.8, 1.2, -0.4],
+  [6, 4, -40.9, -59.8, -0.9, 0.9],
+  [6, 5, 14.9, 10.9, 0.3, 0.7],
+  [6, 6, -60.7, 72.7, 0.9, 0.9],
+  [7, 0, 79.5, 0, 0, 0],
+  [7, 1, -77, -48.9, -0.1, 0.6],
+  [7, 2, -8.8, -14.4, -0.1, 0.5],
+  [7, 3, 59.3, -1, 0.5, -0.8],
+  [7, 4, 15.8, 23.4, -0.1, 0],
+  [7, 5, 2.5, -7.4, -0.8, -1],
+  [7, 6, -11.1, -25.1, -0.8, 0.6],
+  [7, 7, 14.2, -2.3, 0.8, -0.2],
+  [8, 0, 23.2, 0, -0.1, 0],
+  [8, 1, 10.8, 7.1, 0.2, -0.2],
+  [8, 2, -17.5, -12.6, 0, 0.5],
+  [8, 3, 2, 11.4, 0.5, -0.4],
+  [8, 4, -21.7, -9.7, -0.1, 0.4],
+  [8, 5, 16.9, 12.7, 0.3, -0.5],
+  [8, 6, 15, 0.7, 0.2, -0.6],
+  [8, 7, -16.8, -5.2, 0, 0.3],
+  [8, 8, 0.9, 3.9, 0.2, 0.2],
+  [9, 0, 4.6, 0, 0, 0],
+  [9, 1, 7.8, -24.8, -0.1, -0.3],
+  [9, 2, 3, 12.2, 0.1, 0.3],
+  [9, 3, -0.2, 8.3, 0.3, -0.3],
+  [9, 4, -2.5, -3.3, -0.3, 0.3],
+  [9, 5, -13.1, -5.2, 0, 0.2],
+  [9, 6, 2.4, 7.2, 0.3, -0.1],
+  [9, 7, 8.6, -0.6, -0.1, -0.2],
+  [9, 8, -8.7, 0.8, 0.1, 0.4],
+  [9, 9, -12.9, 10, -0.1, 0.1],
+  [10, 0, -1.3, 0, 0.1, 0],
+  [10, 1, -6.4, 3.3, 0, 0],
+  [10, 2, 0.2, 0, 0.1, 0],
+  [10, 3, 2, 2.4, 0.1, -0.2],
+  [10, 4, -1, 5.3, 0, 0.1],
+  [10, 5, -0.6, -9.1, -0.3, -0.1],
+  [10, 6, -0.9, 0.4, 0, 0.1],
+  [10, 7, 1.5, -4.2, -0.1, 0],
+  [10, 8, 0.9, -3.8, -0.1, -0.1],
+  [10, 9, -2.7, 0.9, 0, 0.2],
+  [10, 10, -3.9, -9.1, 0, 0],
+  [11, 0, 2.9, 0, 0, 0],
+  [11, 1, -1.5, 0, 0, 0],
+  [11, 2, -2.5, 2.9, 0, 0.1],
+  [11, 3, 2.4, -0.6, 0, 0],
+  [11, 4, -0.6, 0.2, 0, 0.1],
+  [11, 5, -0.1, 0.5, -0.1, 0],
+  [11, 6, -0.6, -0.3, 0, 0],
+  [11, 7, -0.1, -1.2, 0, 0.1],
+  [11, 8, 1.1, -1.7, -0.1, 0],
+  [11, 9, -1, -2.9, -0.1, 0],
+  [11, 10, -0.2, -1.8, -0.1, 0],
+  [11, 11, 2.6, -2.3, -0.1, 0],
+  [12, 0, -2, 0, 0, 0],
+  [12, 1, -0.2, -1.3, 0, 0],
+  [12, 2, 0.3, 0.7, 0, 0],
+  [12, 3, 1.2, 1, 0, -0.1],
+  [12, 4, -1.3, -1.4, 0, 0.1],
+  [12, 5, 0.6, 0, 0, 0],
+  [12, 6, 0.6, 0.6, 0.1, 0],
+  [12, 7, 0.5, -0.1, 0, 0],
+  [12, 8, -0.1, 0.8, 0, 0],
+  [12, 9, -0.4, 0.1, 0, 0],
+  [12, 10, -0.2, -1, -0.1, 0],
+  [12, 11, -1.3, 0.1, 0, 0],
+  [12, 12, -0.7, 0.2, -0.1, -0.1],
+];
+
+/**
+ * Convert a date to a decimal year
+ * @param {Date} date Date to convert
+ * @returns {number} Decimal year (e.g. 2025.5)
+ */
+function toDecimalYear(date) {
+  const year = date.getUTCFullYear();
+  const start = Date.UTC(year, 0, 1);
+  const end = Date.UTC(year + 1, 0, 1);
+  return year + (date.getTime() - start) / (end - start);
+}
+
+/**
+ * Calculate Schmidt semi-normalized associated Legendre functions and their θ derivatives
+ * @param {number} theta Geocentric colatitude in radians
+ * @returns {Object} { p, dp } indexed as [n][m]
+ */
+function calculateLegendre(theta) {
+  const x = Math.cos(theta);
+  const s = Math.max(Math.sin(theta), 1e-10);
+  const p = [];
+  const dp = [];
+
+  for (let n = 0; n <= MAX_DEGREE; n++) {
+    p.push(new Array(MAX_DEGREE + 1).fill(0));
+    dp.push(new Array(MAX_DEGREE + 1).fill(0));
+  }
+
+  // Unnormalized functions (no Condon-Shortley phase) by the standard recursions
+  p[0][0] = 1;
+  for (let m = 1; m <= MAX_DEGREE; m++) {
+    p[m][m] = (2 * m - 1) * s * p[m - 1][m - 1];
+  }
+  for (let m = 0; m < MAX_DEGREE; m++) {
+    p[m + 1][m] = (2 * m + 1) * x * p[m][m];
+    for (let n = m + 2; n <= MAX_DEGREE; n++) {
+      p[n][m] = ((2 * n - 1) * x * p[n - 1][m] - (n + m - 1) * p[n - 2][m]) / (n - m);
+    }
+  }
+
+  for (let n = 1; n <= MAX_DEGREE; n++) {
+    for (let m = 0; m <= n; m++) {
+      dp[n][m] = (n * x * p[n][m] - (n + m) * (m < n ? p[n - 1][m] : 0)) / s;
+    }
+  }
+
+  // Apply Schmidt semi-normalization
+  for (let n = 1; n <= MAX_DEGREE; n++) {
+    for (let m = 0; m <= n; m++) {
+      let ratio = 1;
+      for (let k = n - m + 1; k <= n + m; k++) {
+        ratio /= k;
+      }
+      const factor = Math.sqrt((m === 0 ? 1 : 2) * ratio);
+      p[n][m] *= factor;
+      dp[n][m] *= factor;
+    }
+  }
+
+  return { p, dp };
+}
+
+/**
+ * Calculate magnetic variation (declination) at sea level
+ * @param {number} latitude Geodetic latitude in degrees
+ * @param {number} longitude Longitude in degrees
+ * @param {Date} [date] Date of interest (defaults to now)
+ * @returns {number} Magnetic variation in radians, positive east
+ */
+function calculateMagneticVariation(latitude, longitude, date = new Date()) {
+  const years = toDecimalYear(date) - WMM_EPOCH;
+  const phi = degreesToRadians(latitude);
+  const lambda = degreesToRadians(longitude);
+
+  // Geodetic to geocentric spherical coordinates
+  const sinPhi = Math.sin(phi);
+  const cosPhi = Math.cos(phi);
+  const primeVerticalRadius = WGS84_A / Math.sqrt(1 - WGS84_E2 * sinPhi * sinPhi);
+  const p = primeVerticalRadius * cosPhi;
+  const z = primeVerticalRadius * (1 - WGS84_E2) * sinPhi;
+  const radius = Math.sqrt(p * p + z * z);
+  const geocentricLatitude = Math.asin(z / radius);
+  const legendre = calculateLegendre(Math.PI / 2 - geocentricLatitude);
+
+  let north = 0;
+  let east = 0;
+  let down = 0;
+
+  for (const [n, m, g0, h0, gDot, hDot] of WMM_COEFFICIENTS) {
+    const g = g0 + years * gDot;
+    const h = h0 + years * hDot;
+    const scale = (REFERENCE_RADIUS / radius) ** (n + 2);
+    const cosML = Math.cos(m * lambda);
+    const sinML = Math.sin(m * lambda);
+
+    north += scale * (g * cosML + h * sinML) * legendre.dp[n][m];
+    east += (scale * m * (g * sinML - h * cosML) * legendre.p[n][m]) / Math.cos(geocentricLatitude);
+    down -= scale * (n + 1) * (g * cosML + h * sinML) * legendre.p[n][m];
+  }
+
+  // Rotate the north component from geocentric to geodetic
+  const psi = geocentricLatitude - phi;
+  const geodeticNorth = north * Math.cos(psi) - down * Math.sin(psi);
+
+  return Math.atan2(east, geodeticNorth);
+}
+
+module.exports = {
+  WMM_NAME,
+  calculateMagneticVariation,
+};
@@ -0,0 +1,263 @@
+/**
+ * NMEA 0183 Sentence Encoder
+ * Builds checksummed NMEA 0183 sentences from validated weather data for nmea0183out
+ * Sentences with no real data are not sent; missing fields within a sentence are left empty
+ */
+
+const { isValidNumber, kelvinToCelsius, radiansToDegrees } = require('./weather-utils');
+
+const SENTENCES = ['MWV', 'MWD', 'MDA', 'XDR', 'MTA', 'MMB'];
+const DEFAULT_SENTENCES = ['MWV', 'MWD', 'MDA', 'XDR'];
+const KNOTS_PER_MS = 3600 / 1852;
+const PA_PER_INHG = 3386.389;
+const PA_PER_BAR = 100000;
+
+class NMEA0183Encoder {
+  /**
+   * @param {Object} [options] Encoder options
+   * @param {string} [options.talkerId] Two-character talker ID ('WI' = weather instruments)
+   * @param {Array<string>} [options.sentences] Sentence types to send
+   * @param {Function} [debug] Debug logger
+   */
+  constructor(options = {}, debug) {
+    this.debug = debug || (() => {});
+    this.talkerId = (options.talkerId || 'WI').toUpperCase().slice(0, 2);
+    this.sentences = new Set(options.sentences || DEFAULT_SENTENCES);
+  }
+
+  /**
+   * Encode weather data as NMEA 0183 sentences
+   * @param {Object} weatherData - Validated weather data in SI units
+   * @returns {Array<string>} Sentences including checksum, without line terminator
+   */
+  encode(weatherData) {
+    if (!weatherData) {
+      return [];
+    }
+
+    const encoders = {
+      MWV: () => this.encodeMwv(weatherData),
+      MWD: () => [this.encodeMwd(weatherData)],
+      MDA: () => [this.encodeMda(weatherData)],
+      XDR: () => [this.encodeXdr(weatherData)],
+      MTA: () => [this.encodeMta(weatherData)],
+      MMB: () => [this.encodeMmb(weatherData)],
+    };
+
+    const sentences = SENTENCES.filter((type) => this.sentences.has(type))
+      .flatMap((type) => encoders[type]())
+      .filter(Boolean);
+
+    this.debug(`Encoded ${sentences.length} NMEA 0183 sentences`);
+    return sentences;
+  }
+
+  /**
+   * MWV Wind Speed and Angle - true wind (T) relative to the bow
+   * The sentence carries the wind over water, as expected by autopilots and displays.
+   * As on NMEA2000, apparent wind (R) is never sent: it is synthetic here and could
+   * steer an autopilot in wind mode
+   * @param {Object} weatherData - Validated weather data
+   * @returns {Array<string>} Zero or one sentence
+   */
+  encodeMwv(weatherData) {
+    if (
+      !isValidNumber(weatherData.trueWindSpeedWater) ||
+      !isValidNumber(weatherData.trueWindAngleWater)
+    ) {
+      return [];
+    }
+
+    return [
+      this.buildSentence('MWV', [
+        this.formatNumber(this.toDegrees360(weatherData.trueWindAngleWater), 1),
+        'T',
+        this.formatNumber(weatherData.trueWindSpeedWater * KNOTS_PER_MS, 1),
+        'N',
+        'A',
+      ]),
+    ];
+  }
+
+  /**
+   * MWD Wind Direction and Speed - true wind referenced to north
+   * @param {Object} weatherData - Validated weather data
+   * @returns {string|null} Sentence or null when wind is missing
+   */
+  encodeMwd(weatherData) {
+    if (!isValidNumber(weatherData.windSpeed) || !isValidNumber(weatherData.windDirection)) {
+      return null;
+    }
+
+    return this.buildSentence('MWD', [
+      this.formatNumber(this.toDegrees360(weatherData.windDirection), 1),
+      'T',
+      this.formatMagnetic(weatherData.windDirection, weatherData.magneticVariation),
+      'M',
+      this.formatNumber(weatherData.windSpeed * KNOTS_PER_MS, 1),
+      'N',
+      this.formatNumber(weatherData.windSpeed, 1),
+      'M',
+    ]);
+  }
+
+  /**
+   * MDA Meteorological Composite
+   * @param {Object} weatherData - Validated weather data
+   * @returns {string|null} Sentence or null when no value is available
+   */
+  encodeMda(weatherData) {
+    const { pressure, temperature, humidity, dewPoint, windSpeed, windDirection } = weatherData;
+    if (![pressure, temperature, humidity, windSpeed].some((value) => isValidNumber(value))) {
+      return null;
+    }
+
+    const hasWind = isValidNumber(windSpeed) && isValidNumber(windDirection);
+    // Convert only real readings - null would otherwise turn into 0 inHg or -273.1 °C
+    const hasPressure = isValidNumber(pressure);
+    const hasTemperature = isValidNumber(temperature);
+    const hasHumidity = isValidNumber(humidity);
+    const hasDewPoint = isValidNumber(dewPoint);
+
+    return this.buildSentence('MDA', [
+      hasPressure ? this.formatNumber(pressure / PA_PER_INHG, 2) : '',
+      'I',
+      hasPressure ? this.formatNumber(pressure / PA_PER_BAR, 3) : '',
+      'B',
+      hasTemperature ? this.formatNumber(kelvinToCelsius(temperature), 1) : '',
+      'C',
+      '',
+      'C',
+      hasHumidity ? this.formatNumber(humidity * 100, 1) : '',
+      '',
+      hasDewPoint ? this.formatNumber(kelvinToCelsius(dewPoint), 1) : '',
+      'C',
+      hasWind ? this.formatNumber(this.toDegrees360(windDirection), 1) : '',
+      'T',
+      hasWind ? this.formatMagnetic(windDirection, weatherData.magneticVariation) : '',
+      'M',
+      hasWind ? this.formatNumber(windSpeed * KNOTS_PER_MS, 1) : '',
+      'N',
+      hasWind ? this.formatNumber(windSpeed, 1) : '',
+      'M',
+    ]);
+  }
+
+  /**
+   * XDR Transducer Measurement - pressure, air temperature and humidity
+   * @param {Object} weatherData - Validated weather data
+   * @returns {string|null} Sentence or null when no value is available
+   */
+  encodeXdr(weatherData) {
+    const fields = [];
+
+    if (isValidNumber(weatherData.pressure)) {
+      fields.push('P', this.formatNumber(weatherData.pressure / PA_PER_BAR, 5), 'B', 'Barometer');
+    }
+    if (isValidNumber(weatherData.temperature)) {
+      fields.push(
+        'C',
+        this.formatNumber(kelvinToCelsius(weatherData.temperature), 1),
+        'C',
+        'TempAir'
+      );
+    }
+    if (isValidNumber(weatherData.humidity)) {
+      fields.push('H', this.formatNumber(weatherData.humidity * 100, 1), 'P', 'Humidity');
+    }
+
+    return fields.length > 0 ? this.buildSentence('XDR', fields) : null;
+  }
+
+  /**
+   * MTA Air Temperature (legacy)
+   * @param {Object} weatherData - Validated weather data
+   * @returns {string|null} Sentence or null when temperature is missing
+   */
+  encodeMta(weatherData) {
+    if (!isValidNumber(weatherData.temperature)) {
+      return null;
+    }
+
+    return this.buildSentence('MTA', [
+      this.formatNumber(kelvinToCelsius(weatherData.temperature), 1),
+      'C',
+    ]);
+  }
+
+  /**
+   * MMB Barometer (legacy)
+   * @param {Object} weatherData - Validated weather data
+   * @returns {string|null} Sentence or null when pressure is missing
+   */
+  encodeMmb(weatherData) {
+    if (!isValidNumber(weatherData.pressure)) {
+      return null;
+    }
+
+    return this.buildSentence('MMB', [
+      this.formatNumber(weatherData.pressure / PA_PER_INHG, 2),
+      'I',
+      this.formatNumber(weatherData.pressure / PA_PER_BAR, 3),
+      'B',
+    ]);
+  }
+
+  /**
+   * Assemble a sentence with talker ID and checksum
+   * @param {string} type - Sentence formatter (e.g. 'MWV')
+   * @param {Array<string>} fields - Data fields
+   * @returns {string} Complete sentence, e.g. $WIMWV,...*hh
+   */
+  buildSentence(type, fields) {
+    const body = [`${this.talkerId}${type}`, ...fields].join(',');
+    return `$${body}*${this.calculateChecksum(body)}`;
+  }
+
+  /**
+   * Calculate the NMEA 0183 checksum - XOR of every character between $ and *
+   * @param {string} body - Sentence body without $ and *
+   * @returns {string} Two-digit uppercase hex checksum
+   */
+  calculateChecksum(body) {
+    let checksum = 0;
+    for (let i = 0; i < body.length; i++) {
+      checksum ^= body.charCodeAt(i);
+    }
+    return checksum.toString(16).toUpperCase().padStart(2, '0');
+  }
+
+  /**
+   * Format a number for a sentence field, leaving the field empty when the value is missing
+   * @param {number} value - Value to format
+   * @param {number} decimals - Decimal places
+   * @returns {string} Formatted value or empty string
+   */
+  formatNumber(value, decimals) {
+    return isValidNumber(value) ? value.toFixed(decimals) : '';
+  }
+
+  /**
+   * Format a true direction as degrees magnetic, leaving the field empty without a variation
+   * @param {number} directionTrue - Direction in radians true
+   * @param {number} magneticVariation - Magnetic variation in radians, positive east
+   * @returns {string} Formatted direction or empty string
+   */
+  formatMagnetic(directionTrue, magneticVariation) {
+    if (!isValidNumber(magneticVariation)) {
+      return '';
+    }
+    return this.formatNumber(this.toDegrees360(directionTrue - magneticVariation), 1);
+  }
+
+  /**
+   * Convert an angle in radians to degrees between 0 and 360
+   * @param {number} radians - Angle in radians
+   * @returns {number} Angle in degrees
+   */
+  toDegrees360(radians) {
+    return ((radiansToDegrees(radians) % 360) + 360) % 360;
+  }
+}
+
+module.exports = NMEA0183Encoder;
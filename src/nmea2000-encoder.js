@@ -0,0 +1,235 @@
+/**
+ * NMEA2000 PGN Encoder
+ * Builds canboat JSON PGNs from normalized weather data for direct output via nmea2000JsonOut
+ * Only real values are encoded - missing fields are left out and never replaced with defaults
+ */
+
+const { isValidNumber } = require('./weather-utils');
+
+const BROADCAST_ADDRESS = 255;
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+class NMEA2000Encoder {
+  /**
+   * @param {Object} [options] Encoder options
+   * @param {number} [options.temperatureInstance] Instance for PGN 130312
+   * @param {number} [options.humidityInstance] Instance for PGN 130313
+   * @param {number} [options.pressureInstance] Instance for PGN 130314
+   * @param {number|null} [options.sourceAddress] Source address to stamp on each PGN
+   * @param {Function} [debug] Debug logger
+   */
+  constructor(options = {}, debug) {
+    this.debug = debug || (() => {});
+    this.temperatureInstance = options.temperatureInstance ?? 0;
+    this.humidityInstance = options.humidityInstance ?? 0;
+    this.pressureInstance = options.pressureInstance ?? 0;
+    this.sourceAddress = options.sourceAddress ?? null;
+  }
+
+  /**
+   * Encode weather data as canboat JSON PGNs
+   * @param {Object} weatherData - Normalized weather data in SI units
+   * @param {Object} [position] - Observation position ({ latitude, longitude })
+   * @returns {Array<Object>} PGNs ready for nmea2000JsonOut
+   */
+  encode(weatherData, position) {
+    if (!weatherData) {
+      return [];
+    }
+
+    const pgns = [
+      this.encodeWind(weatherData),
+      this.encodeEnvironmentalParameters(weatherData),
+      this.encodeTemperature(weatherData),
+      this.encodeHumidity(weatherData),
+      this.encodePressure(weatherData),
+      this.encodeMeteorologicalStation(weatherData, position),
+    ].filter(Boolean);
+
+    this.debug(`Encoded ${pgns.length} NMEA2000 PGNs`);
+    return pgns;
+  }
+
+  /**
+   * PGN 130306 Wind Data - true wind referenced to north
+   * Apparent wind is never sent: it is synthetic here and could steer an autopilot in wind mode
+   * @param {Object} weatherData - Normalized weather data
+   * @returns {Object|null} PGN or null when wind is missing
+   */
+  encodeWind(weatherData) {
+    if (!isValidNumber(weatherData.windSpeed) || !isValidNumber(weatherData.windDirection)) {
+      return null;
+    }
+
+    return this.createPgn(130306, 2, {
+      'Wind Speed': weatherData.windSpeed,
+      'Wind Angle': this.normalizeAngle(weatherData.windDirection),
+      Reference: 'True (ground referenced to North)',
+    });
+  }
+
+  /**
+   * PGN 130311 Environmental Parameters - still read by many older displays
+   * @param {Object} weatherData - Normalized weather data
+   * @returns {Object|null} PGN or null when no value is available
+   */
+  encodeEnvironmentalParameters(weatherData) {
+    const fields = {
+      'Temperature Source': 'Outside Temperature',
+      'Humidity Source': 'Outside',
+    };
+
+    if (isValidNumber(weatherData.temperature)) {
+      fields.Temperature = weatherData.temperature;
+    }
+    if (isValidNumber(weatherData.humidity)) {
+      fields.Humidity = weatherData.humidity * 100;
+    }
+    if (isValidNumber(weatherData.pressure)) {
+      fields['Atmospheric Pressure'] = weatherData.pressure;
+    }
+
+    if (Object.keys(fields).length === 2) {
+      return null;
+    }
+
+    return this.createPgn(130311, 5, fields);
+  }
+
+  /**
+   * PGN 130312 Temperature
+   * @param {Object} weatherData - Normalized weather data
+   * @returns {Object|null} PGN or null when temperature is missing
+   */
+  encodeTemperature(weatherData) {
+    if (!isValidNumber(weatherData.temperature)) {
+      return null;
+    }
+
+    return this.createPgn(130312, 5, {
+      Instance: this.temperatureInstance,
+      Source: 'Outside Temperature',
+      'Actual Temperature': weatherData.temperature,
+    });
+  }
+
+  /**
+   * PGN 130313 Humidity
+   * @param {Object} weatherData - Normalized weather data
+   * @returns {Object|null} PGN or null when humidity is missing
+   */
+  encodeHumidity(weatherData) {
+    if (!isValidNumber(weatherData.humidity)) {
+      return null;
+    }
+
+    return this.createPgn(130313, 5, {
+      Instance: this.humidityInstance,
+      Source: 'Outside',
+      'Actual Humidity': weatherData.humidity * 100,
+    });
+  }
+
+  /**
+   * PGN 130314 Actual Pressure
+   * @param {Object} weatherData - Normalized weather data
+   * @returns {Object|null} PGN or null when pressure is missing
+   */
+  encodePressure(weatherData) {
+    if (!isValidNumber(weatherData.pressure)) {
+      return null;
+    }
+
+    return this.createPgn(130314, 5, {
+      Instance: this.pressureInstance,
+      Source: 'Atmospheric',
+      Pressure: weatherData.pressure,
+    });
+  }
+
+  /**
+   * PGN 130323 Meteorological Station Data
+   * @param {Object} weatherData - Normalized weather data
+   * @param {Object} [position] - Observation position ({ latitude, longitude })
+   * @returns {Object|null} PGN or null when there is nothing to report
+   */
+  encodeMeteorologicalStation(weatherData, position) {
+    const fields = {
+      Mode: 'Estimated',
+    };
+
+    const observedAt = weatherData.timestamp ? new Date(weatherData.timestamp) : null;
+    if (observedAt && !Number.isNaN(observedAt.getTime())) {
+      fields['Measurement Date'] = Math.floor(observedAt.getTime() / MS_PER_DAY);
+      fields['Measurement Time'] = (observedAt.getTime() % MS_PER_DAY) / 1000;
+    }
+    if (position && isValidNumber(position.latitude) && isValidNumber(position.longitude)) {
+      fields['Station Latitude'] = position.latitude;
+      fields['Station Longitude'] = position.longitude;
+    }
+    if (isValidNumber(weatherData.windSpeed) && isValidNumber(weatherData.windDirection)) {
+      fields['Wind Speed'] = weatherData.windSpeed;
+      fields['Wind Direction'] = this.normalizeAngle(weatherData.windDirection);
+      fields['Wind Reference'] = 'True (ground referenced to North)';
+    }
+    if (isValidNumber(weatherData.windGust)) {
+      fields['Wind Gusts'] = weatherData.windGust;
+    }
+    if (isValidNumber(weatherData.pressure)) {
+      fields['Atmospheric Pressure'] = weatherData.pressure;
+    }
+    if (isValidNumber(weatherData.temperature)) {
+      fields['Ambient Temperature'] = weatherData.temperature;
+    }
+    if (weatherData.stationId) {
+      fields['Station ID'] = String(weatherData.stationId);
+    }
+    if (weatherData.source) {
+      fields['Station Name'] = String(weatherData.source);
+    }
+
+    if (
+      !('Wind Speed' in fields) &&
+      !('Atmospheric Pressure' in fields) &&
+      !('Ambient Temperature' in fields)
+    ) {
+      return null;
+    }
+
+    return this.createPgn(130323, 6, fields);
+  }
+
+  /**
+   * Wrap fields in a canboat JSON PGN addressed to all devices
+   * @param {number} pgn - PGN number
+   * @param {number} prio - Priority (0-7)
+   * @param {Object} fields - PGN fields
+   * @returns {Object} canboat JSON PGN
+   */
+  createPgn(pgn, prio, fields) {
+    const message = {
+      pgn,
+      prio,
+      dst: BROADCAST_ADDRESS,
+      fields,
+    };
+
+    if (this.sourceAddress !== null) {
+      message.src = this.sourceAddress;
+    }
+
+    return message;
+  }
+
+  /**
+   * Normalize an angle to 0 to 2π radians as NMEA2000 angles are unsigned
+   * @param {number} angle - Angle in radians
+   * @returns {number} Angle in radians between 0 and 2π
+   */
+  normalizeAngle(angle) {
+    const fullCircle = 2 * Math.PI;
+    return ((angle % fullCircle) + fullCircle) % fullCircle;
+  }
+}
+
+module.exports = NMEA2000Encoder;
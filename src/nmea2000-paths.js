@@ -1,12 +1,22 @@
 /**
  * NMEA2000 Path Mapper for Weather Data
- * Maps weather data to specific NMEA2000 SignalK paths with proper units and defaults
+ * Maps weather data to specific NMEA2000 SignalK paths with proper units
+ * Missing or stale data is published as null, omitted, or replaced by NMEA2000 defaults
  * Follows NMEA2000 specification for environmental data
  */
 
 class NMEA2000PathMapper {
-  constructor(debug) {
+  /**
+   * @param {Function} debug Debug logger
+   * @param {Object} [options] Mapper options
+   * @param {string} [options.stalePolicy] Missing data handling:
+   *   'null' publishes null, 'omit' leaves the path out, 'defaults' publishes NMEA2000 defaults
+   * @param {Function} [options.pathMap] Resolver from canonical path to output path (null disables)
+   */
+  constructor(debug, options = {}) {
     this.debug = debug || (() => {});
+    this.stalePolicy = options.stalePolicy || 'null';
+    this.pathMap = options.pathMap || ((path) => path);
 
     // NMEA2000 default values for missing data (per specification)
     this.defaults = {
@@ -28,7 +38,7 @@ class NMEA2000PathMapper {
    */
   mapToSignalKPaths(weatherData) {
     if (!weatherData || typeof weatherData !== 'object') {
-      this.debug('No weather data provided, using defaults');
+      this.debug('No weather data provided');
       weatherData = {};
     }
 
@@ -60,12 +70,13 @@ class NMEA2000PathMapper {
 
     values.push({
       path: 'environment.outside.apparentTemperature',
-      value: this.getValueOrDefault(weatherData.heatIndex, 'heatIndex'),
+      value: this.getValueOrDefault(weatherData.apparentTemperature, 'temperature'),
       timestamp,
       meta: {
         units: 'K',
         displayName: 'Apparent Temperature',
-        description: 'Heat index - how hot it feels when relative humidity is factored in',
+        description:
+          'Feels-like temperature - wind chill when cold and windy, heat index when hot and humid',
       },
     });
 
@@ -116,7 +127,7 @@ class NMEA2000PathMapper {
 
     // Humidity path - Convert to percentage for NMEA2000 compatibility
     const humidityRatio = this.getValueOrDefault(weatherData.humidity, 'humidity');
-    const humidityPercentage = humidityRatio * 100;
+    const humidityPercentage = humidityRatio === null ? null : humidityRatio * 100;
     values.push({
       path: 'environment.outside.relativeHumidity',
       value: humidityPercentage,
@@ -131,12 +142,16 @@ class NMEA2000PathMapper {
     // Wind paths - True Wind
     values.push({
       path: 'environment.wind.speedTrue',
-      value: this.getValueOrDefault(weatherData.windSpeed, 'windSpeed', 'true wind'),
+      value: this.getValueOrDefault(
+        weatherData.trueWindSpeedWater ?? weatherData.windSpeed,
+        'windSpeed',
+        'true wind'
+      ),
       timestamp,
       meta: {
         units: 'm/s',
         displayName: 'True Wind Speed',
-        description: 'True wind speed from weather services',
+        description: 'Wind speed over water - the ground wind corrected for current when available',
       },
     });
 
@@ -147,7 +162,21 @@ class NMEA2000PathMapper {
       meta: {
         units: 'rad',
         displayName: 'True Wind Direction',
-        description: 'True wind direction in radians from weather services',
+        description: 'Direction the wind blows from, relative to true north, from weather services',
+      },
+    });
+
+    values.push({
+      path: 'environment.wind.directionMagnetic',
+      value: this.calculateMagneticDirection(
+        weatherData.windDirection,
+        weatherData.magneticVariation
+      ),
+      timestamp,
+      meta: {
+        units: 'rad',
+        displayName: 'Magnetic Wind Direction',
+        description: 'Direction the wind blows from, relative to magnetic north',
       },
     });
 
@@ -159,7 +188,7 @@ class NMEA2000PathMapper {
       meta: {
         units: 'm/s',
         displayName: 'Apparent Wind Speed',
-        description: 'Apparent wind speed relative to vessel movement',
+        description: 'Apparent wind speed from ground wind and vessel motion over ground',
       },
     });
 
@@ -174,7 +203,7 @@ class NMEA2000PathMapper {
       meta: {
         units: 'rad',
         displayName: 'Apparent Wind Angle',
-        description: 'Apparent wind angle relative to vessel bow',
+        description: 'Apparent wind angle relative to the bow, negative to port',
       },
     });
 
@@ -186,25 +215,41 @@ class NMEA2000PathMapper {
       meta: {
         units: 'm/s',
         displayName: 'Wind Speed Over Ground',
-        description: 'Wind speed relative to ground movement',
+        description: 'Wind speed over ground from weather services',
+      },
+    });
+
+    values.push({
+      path: 'environment.wind.angleTrueGround',
+      value: this.getValueOrDefault(
+        weatherData.trueWindAngleGround,
+        'windDirection',
+        'true ground'
+      ),
+      timestamp,
+      meta: {
+        units: 'rad',
+        displayName: 'True Wind Angle over Ground',
+        description: 'Ground wind angle relative to the bow, negative to port',
       },
     });
 
     values.push({
       path: 'environment.wind.angleTrueWater',
-      value: this.getValueOrDefault(weatherData.windDirection, 'windDirection', 'true water'),
+      value: this.getValueOrDefault(weatherData.trueWindAngleWater, 'windDirection', 'true water'),
       timestamp,
       meta: {
         units: 'rad',
-        displayName: 'True Wind Angle to Water',
-        description: 'True wind angle relative to water surface',
+        displayName: 'True Wind Angle through Water',
+        description: 'Wind over water angle relative to the bow, negative to port',
       },
     });
 
     // Additional environmental paths
     values.push({
       path: 'environment.outside.absoluteHumidity',
-      value: this.calculateAbsoluteHumidity(
+      value: this.calculateIfAvailable(
+        this.calculateAbsoluteHumidity,
         this.getValueOrDefault(weatherData.temperature, 'temperature'),
         this.getValueOrDefault(weatherData.humidity, 'humidity')
       ),
@@ -219,7 +264,8 @@ class NMEA2000PathMapper {
     // Air density (useful for sailing calculations)
     values.push({
       path: 'environment.outside.airDensity',
-      value: this.calculateAirDensity(
+      value: this.calculateIfAvailable(
+        this.calculateAirDensity,
         this.getValueOrDefault(weatherData.temperature, 'temperature'),
         this.getValueOrDefault(weatherData.pressure, 'pressure'),
         this.getValueOrDefault(weatherData.humidity, 'humidity')
@@ -232,6 +278,123 @@ class NMEA2000PathMapper {
       },
     });
 
+    // Optional observations - only published when the provider supplied them
+    const optionalPaths = [
+      {
+        field: 'windGust',
+        path: 'environment.wind.speedGust',
+        meta: {
+          units: 'm/s',
+          displayName: 'Wind Gust Speed',
+          description: 'Wind gust speed from weather services',
+        },
+      },
+      {
+        field: 'visibility',
+        path: 'environment.outside.visibility',
+        meta: {
+          units: 'm',
+          displayName: 'Visibility',
+          description: 'Horizontal visibility from weather services',
+        },
+      },
+      {
+        field: 'cloudCover',
+        path: 'environment.outside.cloudCover',
+        meta: {
+          units: 'ratio',
+          displayName: 'Cloud Cover',
+          description: 'Fraction of the sky covered by cloud (0-1)',
+        },
+      },
+      {
+        field: 'cloudCeiling',
+        path: 'environment.outside.cloudCeiling',
+        meta: {
+          units: 'm',
+          displayName: 'Cloud Ceiling',
+          description: 'Height of the lowest cloud base',
+        },
+      },
+      {
+        field: 'uvIndex',
+        path: 'environment.outside.uvIndex',
+        meta: {
+          displayName: 'UV Index',
+          description: 'Ultraviolet radiation index',
+        },
+      },
+      {
+        field: 'precipitationLastHour',
+        path: 'environment.outside.precipitationLastHour',
+        meta: {
+          units: 'm',
+          displayName: 'Precipitation (Past Hour)',
+          description: 'Liquid precipitation over the past hour',
+        },
+      },
+      {
+        field: 'precipitationLast24Hours',
+        path: 'environment.outside.precipitationLast24Hours',
+        meta: {
+          units: 'm',
+          displayName: 'Precipitation (Past 24 Hours)',
+          description: 'Liquid precipitation over the past 24 hours',
+        },
+      },
+      {
+        field: 'pressureRateOfChange1h',
+        path: 'environment.outside.pressureRateOfChange1h',
+        meta: {
+          units: 'Pa/s',
+          displayName: 'Pressure Change (1h)',
+          description: 'Barometric pressure rate of change over the past hour',
+        },
+      },
+      {
+        field: 'pressureRateOfChange3h',
+        path: 'environment.outside.pressureRateOfChange3h',
+        meta: {
+          units: 'Pa/s',
+          displayName: 'Pressure Change (3h)',
+          description: 'Barometric pressure rate of change over the past 3 hours',
+        },
+      },
+    ];
+
+    for (const { field, path, meta } of optionalPaths) {
+      const value = weatherData[field];
+      if (typeof value === 'number' && Number.isFinite(value)) {
+        values.push({ path, value, timestamp, meta });
+      }
+    }
+
+    // Pressure tendency as reported by the weather service (falling, rising, steady)
+    if (weatherData.pressureTendency) {
+      values.push({
+        path: 'environment.outside.pressureTendency',
+        value: weatherData.pressureTendency,
+        timestamp,
+        meta: {
+          displayName: 'Pressure Tendency',
+          description: 'Barometric pressure tendency reported by the weather service',
+        },
+      });
+    }
+
+    // Offline Zambretti forecast from local pressure history
+    if (weatherData.localForecast) {
+      values.push({
+        path: 'environment.forecast.zambretti',
+        value: weatherData.localForecast,
+        timestamp,
+        meta: {
+          displayName: 'Local Forecast',
+          description: 'Zambretti short-range forecast from pressure, tendency and wind direction',
+        },
+      });
+    }
+
     // Weather description (if available from APIs)
     if (weatherData.description) {
       values.push({
@@ -241,6 +404,88 @@ class NMEA2000PathMapper {
       });
     }
 
+    return {
+      context: 'vessels.self',
+      updates: [
+        {
+          source: {
+            label: 'signalk-n2k-weather-provider',
+          },
+          timestamp,
+          values: this.applyPathMap(
+            this.stalePolicy === 'omit' ? values.filter((item) => item.value !== null) : values
+          ),
+        },
+      ],
+    };
+  }
+
+  /**
+   * Drop disabled outputs and rename the rest according to the configured path map
+   * @param {Array<Object>} values - Delta values on canonical paths
+   * @returns {Array<Object>} Delta values on output paths
+   */
+  applyPathMap(values) {
+    const mapped = [];
+    for (const item of values) {
+      const path = this.pathMap(item.path);
+      if (path) {
+        mapped.push(path === item.path ? item : { ...item, path });
+      }
+    }
+    return mapped;
+  }
+
+  /**
+   * Map forecast data to SignalK forecast paths
+   * Forecasts are published as structured JSON values rather than individual scalars
+   * @param {Object} forecast - Forecast data with `hourly` and `daily` arrays
+   * @returns {Object|null} SignalK delta message or null when there is nothing to publish
+   */
+  mapForecastToSignalKPaths(forecast) {
+    if (!forecast || (!forecast.hourly && !forecast.daily)) {
+      return null;
+    }
+
+    const timestamp = new Date().toISOString();
+    const values = [];
+
+    if (Array.isArray(forecast.hourly)) {
+      values.push({
+        path: 'environment.forecast.hourly',
+        value: forecast.hourly,
+        timestamp,
+        meta: {
+          displayName: 'Hourly Forecast',
+          description:
+            'Hourly forecast entries: time, temperature (K), wind speed/gust (m/s), wind direction (rad), precipitation probability (ratio) and condition text',
+        },
+      });
+    }
+
+    if (Array.isArray(forecast.daily)) {
+      values.push({
+        path: 'environment.forecast.daily',
+        value: forecast.daily,
+        timestamp,
+        meta: {
+          displayName: 'Daily Forecast',
+          description:
+            'Daily forecast entries: min/max temperature (K) and day/night wind, precipitation probability and condition text',
+        },
+      });
+    }
+
+    values.push({
+      path: 'environment.forecast.time',
+      value: forecast.timestamp,
+      timestamp,
+      meta: {
+        displayName: 'Forecast Time',
+        description: 'When the forecast was retrieved',
+      },
+    });
+
     return {
       context: 'vessels.self',
       updates: [
@@ -256,10 +501,80 @@ class NMEA2000PathMapper {
   }
 
   /**
-   * Get value from weather data or return NMEA2000 default
+   * Map the route forecast to a SignalK path
+   * @param {Object} routeForecast - Route forecast with a `waypoints` array
+   * @returns {Object|null} SignalK delta message or null when there is nothing to publish
+   */
+  mapRouteForecastToSignalKPaths(routeForecast) {
+    if (!routeForecast || !Array.isArray(routeForecast.waypoints)) {
+      return null;
+    }
+
+    const timestamp = new Date().toISOString();
+
+    return {
+      context: 'vessels.self',
+      updates: [
+        {
+          source: {
+            label: 'signalk-n2k-weather-provider',
+          },
+          timestamp,
+          values: [
+            {
+              path: 'environment.forecast.route',
+              value: routeForecast.waypoints,
+              timestamp,
+              meta: {
+                displayName: 'Route Forecast',
+                description:
+                  'Upcoming waypoints: name, position, distance (m), ETA and the forecast at the ETA (wind speed/gust m/s, wind direction rad, temperature K), with an exceedsLimits flag',
+              },
+            },
+          ],
+        },
+      ],
+    };
+  }
+
+  /**
+   * Map the observation at a fixed location to a separate meteo context
+   * Locations are published on canonical paths with their name and position, like an AIS
+   * weather station; missing values follow the mapper's stale policy
+   * @param {Object} location - Location ({ id, name, position })
+   * @param {Object} weatherData - Weather data for the location
+   * @returns {Object} SignalK delta message for the `meteo.<id>` context
+   */
+  mapLocationToSignalKPaths(location, weatherData) {
+    const [update] = this.mapToSignalKPaths(weatherData).updates;
+
+    return {
+      context: `meteo.${location.id}`,
+      updates: [
+        {
+          ...update,
+          values: [
+            { path: '', value: { name: location.name } },
+            {
+              path: 'navigation.position',
+              value: {
+                latitude: location.position.latitude,
+                longitude: location.position.longitude,
+              },
+              timestamp: update.timestamp,
+            },
+            ...update.values,
+          ],
+        },
+      ],
+    };
+  }
+
+  /**
+   * Get value from weather data, or the NMEA2000 default when the 'defaults' policy is enabled
    * @param {any} value - Value from weather data
    * @param {string} type - Type of data for default lookup
-   * @returns {number} Value or default
+   * @returns {number|null} Value, default, or null when data is missing
    */
   getValueOrDefault(value, type, pathContext = '') {
     // Check if value is a valid finite number
@@ -267,6 +582,11 @@ class NMEA2000PathMapper {
       return value;
     }
 
+    // Never invent values unless defaults were explicitly enabled
+    if (this.stalePolicy !== 'defaults') {
+      return null;
+    }
+
     const defaultValue = this.defaults[type];
     if (
       typeof defaultValue === 'number' &&
@@ -283,6 +603,34 @@ class NMEA2000PathMapper {
     return 0;
   }
 
+  /**
+   * Run a derived calculation only when all of its inputs are available
+   * @param {Function} calculation - Calculation method
+   * @param {...(number|null)} inputs - Calculation inputs
+   * @returns {number|null} Calculated value or null if any input is missing
+   */
+  calculateIfAvailable(calculation, ...inputs) {
+    if (inputs.some((input) => input === null)) {
+      return null;
+    }
+    return calculation.apply(this, inputs);
+  }
+
+  /**
+   * Convert a true direction to magnetic
+   * @param {number} directionTrue - Direction in radians true
+   * @param {number} magneticVariation - Magnetic variation in radians, positive east
+   * @returns {number|null} Direction in radians magnetic (0-2π) or null if either input is missing
+   */
+  calculateMagneticDirection(directionTrue, magneticVariation) {
+    if (typeof directionTrue !== 'number' || typeof magneticVariation !== 'number') {
+      return null;
+    }
+
+    const fullCircle = 2 * Math.PI;
+    return (((directionTrue - magneticVariation) % fullCircle) + fullCircle) % fullCircle;
+  }
+
   /**
    * Calculate absolute humidity from temperature and relative humidity
    * @param {number} temperatureK - Temperature in Kelvin
@@ -405,10 +753,23 @@ class NMEA2000PathMapper {
       validated.windSpeed = Math.max(0, Math.min(102.3, validated.windSpeed));
     }
 
+    if (validated.windGust) {
+      validated.windGust = Math.max(0, Math.min(102.3, validated.windGust));
+    }
+
+    // Cloud cover range: 0 to 1
+    if (validated.cloudCover) {
+      validated.cloudCover = Math.max(0, Math.min(1, validated.cloudCover));
+    }
+
     if (validated.apparentWindSpeed) {
       validated.apparentWindSpeed = Math.max(0, Math.min(102.3, validated.apparentWindSpeed));
     }
 
+    if (validated.trueWindSpeedWater) {
+      validated.trueWindSpeedWater = Math.max(0, Math.min(102.3, validated.trueWindSpeedWater));
+    }
+
     // Wind direction range: 0 to 2π radians
     if (validated.windDirection) {
       validated.windDirection =
@@ -426,7 +787,7 @@ class NMEA2000PathMapper {
 
   /**
    * Get NMEA2000 path list for reference
-   * @returns {Array<string>} List of all NMEA2000 paths used
+   * @returns {Array<string>} List of all canonical paths (before the output path map)
    */
   getNMEA2000Paths() {
     return [
@@ -434,15 +795,35 @@ class NMEA2000PathMapper {
       'environment.outside.dewPointTemperature',
       'environment.outside.apparentTemperature',
       'environment.outside.windChillTemperature',
+      'environment.outside.theoreticalWindChillTemperature',
+      'environment.outside.heatIndexTemperature',
       'environment.outside.pressure',
       'environment.outside.relativeHumidity',
       'environment.wind.speedTrue',
       'environment.wind.directionTrue',
+      'environment.wind.directionMagnetic',
       'environment.wind.speedApparent',
       'environment.wind.angleApparent',
+      'environment.wind.speedOverGround',
+      'environment.wind.angleTrueGround',
+      'environment.wind.angleTrueWater',
       'environment.outside.absoluteHumidity',
       'environment.outside.airDensity',
+      'environment.wind.speedGust',
+      'environment.outside.visibility',
+      'environment.outside.cloudCover',
+      'environment.outside.cloudCeiling',
+      'environment.outside.uvIndex',
+      'environment.outside.precipitationLastHour',
+      'environment.outside.precipitationLast24Hours',
+      'environment.outside.pressureTendency',
+      'environment.outside.pressureRateOfChange1h',
+      'environment.outside.pressureRateOfChange3h',
       'environment.outside.weatherDescription',
+      'environment.forecast.zambretti',
+      'environment.forecast.hourly',
+      'environment.forecast.daily',
+      'environment.forecast.time',
     ];
   }
 }
@@ -0,0 +1,217 @@
+const HttpClient = require('./http-client');
+const LocationCache = require('./location-cache');
+const {
+  convertNwsTemperature,
+  convertNwsPressure,
+  convertNwsHumidity,
+  convertNwsWindSpeed,
+  convertNwsWindDirection,
+} = require('./weather-utils');
+
+// Number of nearest stations to try before giving up
+const MAX_STATIONS_TO_TRY = 5;
+
+/**
+ * NOAA/NWS API Client
+ * Handles communication with api.weather.gov for nearest-station observations (US only)
+ */
+class NwsClient {
+  /**
+   * @param {Object} options Client options
+   * @param {number} [options.maxObservationAge] Maximum observation age in minutes
+   * @param {LocationCache} [options.stationCache] Station list cache (in-memory when omitted)
+   * @param {number} [options.timeout] Request timeout in ms
+   * @param {number} [options.retries] Retries for server and network errors
+   * @param {WeatherRecorder} [options.recorder] Records raw responses
+   * @param {WeatherReplay} [options.replay] Serves recorded responses instead of the network
+   * @param {Function} debug Debug logger
+   */
+  constructor(options, debug) {
+    this.maxObservationAge = options?.maxObservationAge ?? 90;
+    this.debug = debug || (() => {});
+    this.baseUrl = 'https://api.weather.gov';
+    this.http = new HttpClient(
+      {
+        name: 'NWS',
+        headers: {
+          // NWS requires an identifying User-Agent
+          'User-Agent': 'NMEA2000WeatherForecast/1.0 (signalk-n2k-weather-provider)',
+          Accept: 'application/geo+json',
+        },
+        timeout: options?.timeout,
+        retries: options?.retries,
+        recorder: options?.recorder,
+        replay: options?.replay,
+        errorMessages: { 404: 'NWS API has no data for this location (outside US coverage?)' },
+      },
+      this.debug
+    );
+    // Cache points-to-station lookups on a coarse grid to avoid repeated requests
+    this.stationCache = options?.stationCache || new LocationCache({}, this.debug);
+  }
+
+  /**
+   * Get the latest observation from the nearest station with fresh data
+   * @param {number} latitude Latitude in degrees
+   * @param {number} longitude Longitude in degrees
+   * @returns {Promise<Object>} Weather data
+   */
+  async getCurrentWeather(latitude, longitude) {
+    try {
+      const stationIds = await this.getObservationStations(latitude, longitude);
+
+      for (const stationId of stationIds.slice(0, MAX_STATIONS_TO_TRY)) {
+        const observation = await this.getLatestObservation(stationId, { latitude, longitude });
+        if (observation) {
+          return this.convertNwsToStandardFormat(observation, stationId);
+        }
+      }
+
+      throw new Error('No NWS station near this position has a recent observation');
+    } catch (error) {
+      this.debug('NWS API error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get observation station identifiers for coordinates, nearest first
+   * @param {number} latitude Latitude in degrees
+   * @param {number} longitude Longitude in degrees
+   * @returns {Promise<Array<string>>} Station identifiers
+   */
+  async getObservationStations(latitude, longitude) {
+    // Check cache first
+    const cached = this.stationCache.get(latitude, longitude);
+    if (cached) {
+      this.debug(`Using cached NWS stations for ${cached.name}`);
+      return cached.key;
+    }
+
+    const coordsKey = `${latitude.toFixed(4)},${longitude.toFixed(4)}`;
+
+    try {
+      // api.weather.gov rejects more than four decimal places in /points
+      const point = await this.request(`/points/${coordsKey}`, { latitude, longitude });
+      const stationsUrl = point.properties?.observationStations;
+
+      if (!stationsUrl) {
+        throw new Error(`NWS has no observation stations for ${coordsKey}`);
+      }
+
+      const stations = await this.request(stationsUrl, { latitude, longitude });
+      const stationIds = (stations.features || [])
+        .map((feature) => feature.properties?.stationIdentifier)
+        .filter(Boolean);
+
+      if (stationIds.length === 0) {
+        throw new Error(`NWS returned no observation stations for ${coordsKey}`);
+      }
+
+      // Cache the station list
+      this.stationCache.set(latitude, longitude, stationIds, coordsKey);
+
+      this.debug(`Retrieved ${stationIds.length} NWS stations for ${coordsKey}:`, stationIds[0]);
+      return stationIds;
+    } catch (error) {
+      this.debug('NWS station lookup error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the latest observation for a station
+   * @param {string} stationId NWS station identifier (e.g. KBOS)
+   * @param {Object} position Position the observation is requested for
+   * @returns {Promise<Object|null>} Observation properties, or null if missing or too old
+   */
+  async getLatestObservation(stationId, position) {
+    try {
+      const data = await this.request(`/stations/${stationId}/observations/latest`, position);
+      const observation = data.properties;
+
+      if (!this.isUsableObservation(observation)) {
+        this.debug(`Skipping NWS station ${stationId}: observation missing core values`);
+        return null;
+      }
+
+      const ageMinutes = (Date.now() - Date.parse(observation.timestamp)) / 60000;
+      if (!Number.isFinite(ageMinutes) || ageMinutes > this.maxObservationAge) {
+        this.debug(`Skipping NWS station ${stationId}: observation is ${ageMinutes} minutes old`);
+        return null;
+      }
+
+      return observation;
+    } catch (error) {
+      this.debug(`Skipping NWS station ${stationId}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Check that an observation carries the values we need
+   * @param {Object} observation NWS observation properties
+   * @returns {boolean} True if temperature and wind speed are present
+   */
+  isUsableObservation(observation) {
+    return !!(
+      observation?.timestamp &&
+      typeof observation.temperature?.value === 'number' &&
+      typeof observation.windSpeed?.value === 'number'
+    );
+  }
+
+  /**
+   * Perform a GET request against api.weather.gov
+   * @param {string} pathOrUrl API path or absolute URL
+   * @param {Object} position Position the request is made for
+   * @returns {Promise<Object>} Parsed GeoJSON response
+   */
+  async request(pathOrUrl, position) {
+    const url = pathOrUrl.startsWith('http') ? pathOrUrl : `${this.baseUrl}${pathOrUrl}`;
+
+    return this.http.getJson(url, { position });
+  }
+
+  /**
+   * Abort in-flight requests and pending retries
+   */
+  cancel() {
+    this.http.cancel();
+  }
+
+  /**
+   * Convert NWS observation to standard format using WeatherUtils
+   * @param {Object} observation NWS observation properties
+   * @param {string} stationId Station the observation came from
+   * @returns {Object} Standardized weather data
+   */
+  convertNwsToStandardFormat(observation, stationId) {
+    this.debug('Converting NWS observation:', {
+      station: stationId,
+      temperature: observation.temperature?.value,
+      windDirection: observation.windDirection?.value,
+      windSpeed: observation.windSpeed?.value,
+      rawHumidity: observation.relativeHumidity?.value,
+    });
+
+    return {
+      temperature: convertNwsTemperature(observation.temperature),
+      pressure:
+        convertNwsPressure(observation.seaLevelPressure) ??
+        convertNwsPressure(observation.barometricPressure),
+      humidity: convertNwsHumidity(observation.relativeHumidity),
+      windSpeed: convertNwsWindSpeed(observation.windSpeed),
+      windDirection: convertNwsWindDirection(observation.windDirection),
+      dewPoint: convertNwsTemperature(observation.dewpoint),
+      windChill: convertNwsTemperature(observation.windChill),
+      heatIndex: convertNwsTemperature(observation.heatIndex),
+      description: observation.textDescription || null,
+      timestamp: new Date(observation.timestamp).toISOString(),
+      source: 'NWS',
+      stationId,
+    };
+  }
+}
+
+module.exports = NwsClient;
@@ -0,0 +1,74 @@
+const path = require('node:path');
+const LocationCache = require('./location-cache');
+const NwsClient = require('./nws-client');
+const WeatherProvider = require('./weather-provider');
+
+/**
+ * NWS Service
+ * Weather provider backed by NOAA/NWS nearest-station observations (US waters only)
+ */
+class NwsService extends WeatherProvider {
+  static providerName = 'NWS';
+
+  constructor(settings, debug) {
+    super(settings, debug);
+    this.stationCache = new LocationCache(
+      {
+        name: 'NWS station cache',
+        // While recording, every session looks up its stations so the recording is self-contained
+        filePath:
+          this.settings.dataDir && !this.settings.recorder
+            ? path.join(this.settings.dataDir, 'nws-stations.json')
+            : null,
+      },
+      debug
+    );
+    this.nwsClient = new NwsClient(
+      {
+        maxObservationAge: this.settings.nwsMaxObservationAge,
+        stationCache: this.stationCache,
+        ...this.getHttpOptions(),
+      },
+      debug
+    );
+  }
+
+  /**
+   * Fetch current weather data from the nearest NWS observation station
+   * @param {Object} position Position object with latitude/longitude
+   * @returns {Promise<Object>} Weather data from NWS
+   */
+  async fetchCurrentWeather(position) {
+    this.validatePosition(position);
+
+    try {
+      const weatherData = await this.nwsClient.getCurrentWeather(
+        position.latitude,
+        position.longitude
+      );
+
+      this.debug(`Successfully retrieved weather data from NWS station ${weatherData.stationId}`);
+      return weatherData;
+    } catch (error) {
+      this.debug('NWS API error:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Abort in-flight NWS requests
+   */
+  cancel() {
+    this.nwsClient.cancel();
+  }
+
+  /**
+   * Get NWS client instance for advanced operations
+   * @returns {NwsClient} NWS client instance
+   */
+  getClient() {
+    return this.nwsClient;
+  }
+}
+
+module.exports = NwsService;
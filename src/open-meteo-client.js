@@ -0,0 +1,114 @@
+const HttpClient = require('./http-client');
+const {
+  convertOpenMeteoTemperature,
+  convertOpenMeteoPressure,
+  convertOpenMeteoHumidity,
+  convertOpenMeteoWindSpeed,
+  convertOpenMeteoWindDirection,
+  describeWmoWeatherCode,
+} = require('./weather-utils');
+
+// Current-condition variables requested from the Open-Meteo forecast API
+const CURRENT_VARIABLES = [
+  'temperature_2m',
+  'relative_humidity_2m',
+  'dew_point_2m',
+  'apparent_temperature',
+  'pressure_msl',
+  'wind_speed_10m',
+  'wind_direction_10m',
+  'weather_code',
+];
+
+/**
+ * Open-Meteo API Client
+ * Handles communication with the free Open-Meteo forecast API (no API key required)
+ */
+class OpenMeteoClient {
+  /**
+   * @param {Function} debug Debug logger
+   * @param {Object} [options] Client options
+   * @param {number} [options.timeout] Request timeout in ms
+   * @param {number} [options.retries] Retries for server and network errors
+   * @param {WeatherRecorder} [options.recorder] Records raw responses
+   * @param {WeatherReplay} [options.replay] Serves recorded responses instead of the network
+   */
+  constructor(debug, options = {}) {
+    this.debug = debug || (() => {});
+    this.baseUrl = 'https://api.open-meteo.com';
+    this.http = new HttpClient(
+      {
+        name: 'Open-Meteo',
+        headers: { 'User-Agent': 'NMEA2000WeatherForecast/1.0' },
+        timeout: options.timeout,
+        retries: options.retries,
+        recorder: options.recorder,
+        replay: options.replay,
+        errorMessages: { 429: 'Open-Meteo API rate limit exceeded' },
+      },
+      this.debug
+    );
+  }
+
+  /**
+   * Get current weather from Open-Meteo API
+   * @param {number} latitude Latitude in degrees
+   * @param {number} longitude Longitude in degrees
+   * @returns {Promise<Object>} Weather data
+   */
+  async getCurrentWeather(latitude, longitude) {
+    try {
+      const url = `${this.baseUrl}/v1/forecast?latitude=${latitude}&longitude=${longitude}&current=${CURRENT_VARIABLES.join(',')}&timeformat=unixtime`;
+
+      const data = await this.http.getJson(url, { position: { latitude, longitude } });
+      if (!data.current) {
+        throw new Error('Open-Meteo API response did not include current conditions');
+      }
+
+      return this.convertOpenMeteoToStandardFormat(data.current);
+    } catch (error) {
+      this.debug('Open-Meteo API error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Abort in-flight requests and pending retries
+   */
+  cancel() {
+    this.http.cancel();
+  }
+
+  /**
+   * Convert Open-Meteo data to standard format using WeatherUtils
+   * @param {Object} current Open-Meteo `current` block (metric units, unix time)
+   * @returns {Object} Standardized weather data
+   */
+  convertOpenMeteoToStandardFormat(current) {
+    this.debug('Converting Open-Meteo data:', {
+      temperature: current.temperature_2m,
+      windDirection: current.wind_direction_10m,
+      windSpeed: current.wind_speed_10m,
+      rawHumidity: current.relative_humidity_2m,
+    });
+
+    return {
+      temperature: convertOpenMeteoTemperature(current.temperature_2m),
+      pressure: convertOpenMeteoPressure(current.pressure_msl),
+      humidity: convertOpenMeteoHumidity(current.relative_humidity_2m),
+      windSpeed: convertOpenMeteoWindSpeed(current.wind_speed_10m),
+      windDirection: convertOpenMeteoWindDirection(current.wind_direction_10m),
+      dewPoint: convertOpenMeteoTemperature(current.dew_point_2m),
+      windChill: null, // Not provided by Open-Meteo, calculated by WeatherService
+      heatIndex: convertOpenMeteoTemperature(current.apparent_temperature),
+      description: describeWmoWeatherCode(current.weather_code),
+      timestamp:
+        typeof current.time === 'number'
+          ? new Date(current.time * 1000).toISOString()
+          : new Date().toISOString(),
+      source: 'Open-Meteo',
+    };
+  }
+}
+
+module.exports = OpenMeteoClient;
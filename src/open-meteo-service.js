@@ -0,0 +1,54 @@
+const OpenMeteoClient = require('./open-meteo-client');
+const WeatherProvider = require('./weather-provider');
+
+/**
+ * Open-Meteo Service
+ * Weather provider backed by the Open-Meteo forecast API, which needs no API key
+ */
+class OpenMeteoService extends WeatherProvider {
+  static providerName = 'Open-Meteo';
+
+  constructor(settings, debug) {
+    super(settings, debug);
+    this.openMeteoClient = new OpenMeteoClient(debug, this.getHttpOptions());
+  }
+
+  /**
+   * Fetch current weather data from Open-Meteo API
+   * @param {Object} position Position object with latitude/longitude
+   * @returns {Promise<Object>} Weather data from Open-Meteo
+   */
+  async fetchCurrentWeather(position) {
+    this.validatePosition(position);
+
+    try {
+      const weatherData = await this.openMeteoClient.getCurrentWeather(
+        position.latitude,
+        position.longitude
+      );
+
+      this.debug('Successfully retrieved weather data from Open-Meteo');
+      return weatherData;
+    } catch (error) {
+      this.debug('Open-Meteo API error:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Abort in-flight Open-Meteo requests
+   */
+  cancel() {
+    this.openMeteoClient.cancel();
+  }
+
+  /**
+   * Get Open-Meteo client instance for advanced operations
+   * @returns {OpenMeteoClient} Open-Meteo client instance
+   */
+  getClient() {
+    return this.openMeteoClient;
+  }
+}
+
+module.exports = OpenMeteoService;
@@ -0,0 +1,70 @@
+/**
+ * Output Path Profiles
+ * Config-driven map from the plugin's canonical SignalK paths to the paths actually published
+ * Profiles provide sensible defaults; per-path overrides can disable or rename any output
+ */
+
+// Vessel-relative wind paths that only make sense when replacing onboard instruments
+const VESSEL_RELATIVE_WIND_PATHS = [
+  'environment.wind.speedApparent',
+  'environment.wind.angleApparent',
+  'environment.wind.angleTrueGround',
+  'environment.wind.angleTrueWater',
+];
+
+const PROFILES = {
+  // Publish on the standard paths read by displays and signalk-to-nmea2000
+  instrument: {
+    title: 'Instrument replacement',
+    disabled: ['environment.outside.theoreticalWindChillTemperature'],
+    rename: (path) => path,
+  },
+  // Publish under a separate namespace that never collides with onboard sensors
+  forecastOnly: {
+    title: 'Forecast only',
+    disabled: [
+      'environment.outside.theoreticalWindChillTemperature',
+      ...VESSEL_RELATIVE_WIND_PATHS,
+    ],
+    rename: (path) => path.replace(/^environment\./, 'environment.weather.'),
+  },
+};
+
+const DEFAULT_PROFILE = 'instrument';
+
+/**
+ * Build the output path map for a profile and per-path overrides
+ * @param {string} profileId Profile identifier ('instrument' or 'forecastOnly')
+ * @param {Array<Object>} [overrides] Overrides ({ path, enabled, outputPath }) keyed by canonical path
+ * @returns {Function} Resolver returning the output path for a canonical path, or null if disabled
+ */
+function createPathMap(profileId, overrides = []) {
+  const profile = PROFILES[profileId] || PROFILES[DEFAULT_PROFILE];
+  const disabled = new Set(profile.disabled);
+  const overrideMap = new Map(
+    overrides.filter((override) => override?.path).map((override) => [override.path, override])
+  );
+
+  return (canonicalPath) => {
+    const override = overrideMap.get(canonicalPath);
+    const enabled = override?.enabled ?? !disabled.has(canonicalPath);
+    if (!enabled) {
+      return null;
+    }
+    return override?.outputPath || profile.rename(canonicalPath);
+  };
+}
+
+/**
+ * Get the identifiers of all built-in profiles
+ * @returns {Array<string>} Profile identifiers
+ */
+function getProfileIds() {
+  return Object.keys(PROFILES);
+}
+
+module.exports = {
+  DEFAULT_PROFILE,
+  createPathMap,
+  getProfileIds,
+};
@@ -0,0 +1,110 @@
+/**
+ * Pressure History
+ * Rolling buffer of barometric pressure samples used for tendency calculations
+ * Samples from a single source are kept so that switching between an onboard
+ * barometer and a weather service does not create artificial pressure jumps
+ */
+
+const DEFAULT_MAX_AGE = 6 * 60 * 60 * 1000; // 6 hours
+const MIN_SAMPLE_SPACING = 60 * 1000; // At most one sample per minute
+
+class PressureHistory {
+  /**
+   * @param {Object} [options] History options
+   * @param {number} [options.maxAge] Maximum sample age in milliseconds
+   * @param {Function} debug Debug logger
+   */
+  constructor(options, debug) {
+    this.maxAge = options?.maxAge ?? DEFAULT_MAX_AGE;
+    this.debug = debug || (() => {});
+    this.samples = [];
+    this.source = null;
+  }
+
+  /**
+   * Add a pressure sample
+   * @param {number} pressure Pressure in Pascals
+   * @param {string} source Sample source (e.g. 'onboard' or a provider name)
+   * @param {number} [time] Sample time in milliseconds since epoch
+   * @returns {boolean} True if the sample was stored
+   */
+  addSample(pressure, source, time = Date.now()) {
+    if (typeof pressure !== 'number' || !Number.isFinite(pressure)) {
+      return false;
+    }
+
+    if (source !== this.source) {
+      if (this.samples.length > 0) {
+        this.debug(`Pressure source changed from ${this.source} to ${source}, resetting history`);
+      }
+      this.samples = [];
+      this.source = source;
+    }
+
+    const last = this.samples[this.samples.length - 1];
+    if (last && time - last.time < MIN_SAMPLE_SPACING) {
+      return false;
+    }
+
+    this.samples.push({ time, pressure });
+    this.prune(time);
+    return true;
+  }
+
+  /**
+   * Drop samples older than the maximum age
+   * @param {number} now Current time in milliseconds
+   */
+  prune(now) {
+    const cutoff = now - this.maxAge;
+    while (this.samples.length > 0 && this.samples[0].time < cutoff) {
+      this.samples.shift();
+    }
+  }
+
+  /**
+   * Get the pressure rate of change over a time window
+   * Requires history covering at least 75% of the window
+   * @param {number} windowMs Window length in milliseconds
+   * @returns {number|null} Rate of change in Pa/s, or null if history is too short
+   */
+  getRateOfChange(windowMs) {
+    if (this.samples.length < 2) {
+      return null;
+    }
+
+    const latest = this.samples[this.samples.length - 1];
+    const target = latest.time - windowMs;
+
+    // Oldest sample at or after the window start
+    const reference = this.samples.find((sample) => sample.time >= target);
+    if (!reference || reference === latest) {
+      return null;
+    }
+
+    const elapsed = latest.time - reference.time;
+    if (elapsed < windowMs * 0.75) {
+      return null;
+    }
+
+    return (latest.pressure - reference.pressure) / (elapsed / 1000);
+  }
+
+  /**
+   * Get all stored samples
+   * @returns {Array<{time: number, pressure: number}>} Samples, oldest first
+   */
+  getSamples() {
+    return [...this.samples];
+  }
+
+  /**
+   * Clear all samples
+   */
+  clear() {
+    this.samples = [];
+    this.source = null;
+  }
+}
+
+module.exports = PressureHistory;
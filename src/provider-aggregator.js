@@ -0,0 +1,329 @@
+const { isValidNumber } = require('./weather-utils');
+
+// Scalar fields combined with a weighted arithmetic mean in blend mode
+const SCALAR_FIELDS = [
+  'temperature',
+  'pressure',
+  'humidity',
+  'windSpeed',
+  'windGust',
+  'dewPoint',
+  'windChill',
+  'heatIndex',
+  'visibility',
+  'cloudCover',
+  'cloudCeiling',
+  'uvIndex',
+  'precipitationLastHour',
+  'precipitationLast24Hours',
+];
+
+// Angular fields combined with a weighted circular mean in blend mode
+const ANGULAR_FIELDS = ['windDirection'];
+
+// Text fields taken from the highest-weighted provider that supplied them in blend mode
+const TEXT_FIELDS = ['description', 'pressureTendency'];
+
+/**
+ * Provider Aggregator
+ * Queries an ordered list of weather providers in failover or blend mode
+ * and records which provider supplied each field
+ */
+class ProviderAggregator {
+  /**
+   * @param {Array<{provider: WeatherProvider, weight: number}>} entries Providers in priority order
+   * @param {string} mode 'failover' or 'blend'
+   * @param {Function} debug Debug logger
+   */
+  constructor(entries, mode, debug) {
+    this.entries = entries;
+    this.mode = mode === 'blend' ? 'blend' : 'failover';
+    this.debug = debug || (() => {});
+
+    // Health record per provider, keyed by entry index
+    this.health = entries.map((entry) => ({
+      name: entry.provider.name,
+      healthy: true,
+      lastSuccess: null,
+      lastError: null,
+      consecutiveFailures: 0,
+    }));
+  }
+
+  /**
+   * Fetch current weather from the configured providers
+   * @param {Object} position Position object with latitude/longitude
+   * @returns {Promise<Object>} Standardized weather data with `fieldSources`
+   */
+  async fetchCurrentWeather(position) {
+    if (this.entries.length === 0) {
+      throw new Error('No weather providers configured');
+    }
+
+    return this.mode === 'blend' ? this.fetchBlended(position) : this.fetchFailover(position);
+  }
+
+  /**
+   * Fetch forecasts from the first provider in priority order that supplies them
+   * @param {Object} position Position object with latitude/longitude
+   * @returns {Promise<Object|null>} Forecast data or null if no provider supports forecasts
+   */
+  async fetchForecast(position) {
+    return this.fetchFromFirstSupporting('fetchForecast', position);
+  }
+
+  /**
+   * Fetch hourly forecasts from the first provider in priority order that supplies them
+   * @param {Object} position Position object with latitude/longitude
+   * @returns {Promise<Object|null>} Forecast data or null if no provider supports forecasts
+   */
+  async fetchHourlyForecast(position) {
+    return this.fetchFromFirstSupporting('fetchHourlyForecast', position);
+  }
+
+  /**
+   * Fetch weather alerts from the first provider in priority order that supplies them
+   * @param {Object} position Position object with latitude/longitude
+   * @returns {Promise<Object|null>} Alert data or null if no provider supports alerts
+   */
+  async fetchAlerts(position) {
+    return this.fetchFromFirstSupporting('fetchAlerts', position);
+  }
+
+  /**
+   * Call an optional provider capability, returning the first non-null result
+   * @param {string} method WeatherProvider method name
+   * @param {Object} position Position object with latitude/longitude
+   * @returns {Promise<Object|null>} Result or null if no provider supports it
+   */
+  async fetchFromFirstSupporting(method, position) {
+    let lastError = null;
+    for (const { provider } of this.entries) {
+      try {
+        const result = await provider[method](position);
+        if (result) {
+          return result;
+        }
+      } catch (error) {
+        lastError = error;
+        this.debug(`Provider ${provider.name} ${method} failed, trying next:`, error.message);
+      }
+    }
+
+    if (lastError) {
+      throw lastError;
+    }
+    return null;
+  }
+
+  /**
+   * Use the first healthy provider, falling back through the list on failure
+   * Providers that failed last time are tried after healthy ones, except local providers
+   * whose failure only means no nearby data, so they are preferred again once it returns
+   * @param {Object} position Position object with latitude/longitude
+   * @returns {Promise<Object>} Weather data from a single provider
+   */
+  async fetchFailover(position) {
+    const isPreferred = (index) =>
+      this.entries[index].provider.isLocal || this.health[index].healthy;
+    const order = this.entries
+      .map((_entry, index) => index)
+      .sort((a, b) => Number(isPreferred(b)) - Number(isPreferred(a)));
+
+    const errors = [];
+    for (const index of order) {
+      const { provider } = this.entries[index];
+      try {
+        const weatherData = await provider.fetchCurrentWeather(position);
+        this.recordSuccess(index);
+
+        return {
+          ...weatherData,
+          fieldSources: this.buildFieldSources(weatherData, [provider.name]),
+        };
+      } catch (error) {
+        this.recordFailure(index, error);
+        errors.push(`${provider.name}: ${error.message}`);
+        this.debug(`Provider ${provider.name} failed, trying next:`, error.message);
+      }
+    }
+
+    throw new Error(`All weather providers failed (${errors.join('; ')})`);
+  }
+
+  /**
+   * Query every provider and combine their fields using the configured weights
+   * @param {Object} position Position object with latitude/longitude
+   * @returns {Promise<Object>} Blended weather data
+   */
+  async fetchBlended(position) {
+    const results = await Promise.allSettled(
+      this.entries.map((entry) => entry.provider.fetchCurrentWeather(position))
+    );
+
+    const samples = [];
+    const errors = [];
+    results.forEach((result, index) => {
+      const { provider, weight } = this.entries[index];
+      if (result.status === 'fulfilled' && result.value) {
+        this.recordSuccess(index);
+        samples.push({ name: provider.name, weight, data: result.value });
+      } else {
+        const error = result.reason || new Error('No data returned');
+        this.recordFailure(index, error);
+        errors.push(`${provider.name}: ${error.message}`);
+      }
+    });
+
+    if (samples.length === 0) {
+      throw new Error(`All weather providers failed (${errors.join('; ')})`);
+    }
+
+    const blended = {};
+    const fieldSources = {};
+
+    for (const field of SCALAR_FIELDS) {
+      const contributors = samples.filter((sample) => isValidNumber(sample.data[field]));
+      const totalWeight = contributors.reduce((sum, sample) => sum + sample.weight, 0);
+      if (contributors.length === 0 || totalWeight <= 0) {
+        blended[field] = null;
+        continue;
+      }
+
+      blended[field] =
+        contributors.reduce((sum, sample) => sum + sample.data[field] * sample.weight, 0) /
+        totalWeight;
+      fieldSources[field] = contributors.map((sample) => sample.name);
+    }
+
+    for (const field of ANGULAR_FIELDS) {
+      const contributors = samples.filter((sample) => isValidNumber(sample.data[field]));
+      blended[field] = this.circularMean(
+        contributors.map((sample) => ({ angle: sample.data[field], weight: sample.weight }))
+      );
+      if (blended[field] !== null) {
+        fieldSources[field] = contributors.map((sample) => sample.name);
+      }
+    }
+
+    // Text fields come from the highest-weighted provider that supplied one
+    const byWeight = [...samples].sort((a, b) => b.weight - a.weight);
+    for (const field of TEXT_FIELDS) {
+      const supplier = byWeight.find((sample) => sample.data[field]);
+      blended[field] = supplier ? supplier.data[field] : null;
+      if (supplier) {
+        fieldSources[field] = [supplier.name];
+      }
+    }
+
+    // Report the oldest contributing observation so staleness is not understated
+    const timestamps = samples
+      .map((sample) => Date.parse(sample.data.timestamp))
+      .filter((time) => Number.isFinite(time));
+    blended.timestamp = new Date(
+      timestamps.length > 0 ? Math.min(...timestamps) : Date.now()
+    ).toISOString();
+    blended.source = samples.map((sample) => sample.name).join('+');
+    blended.fieldSources = fieldSources;
+
+    this.debug('Blended weather data from providers:', blended.source);
+    return blended;
+  }
+
+  /**
+   * Weighted circular mean of angles
+   * @param {Array<{angle: number, weight: number}>} samples Angles in radians with weights
+   * @returns {number|null} Mean angle in radians (0 to 2π) or null if undefined
+   */
+  circularMean(samples) {
+    let sumSin = 0;
+    let sumCos = 0;
+    for (const { angle, weight } of samples) {
+      sumSin += Math.sin(angle) * weight;
+      sumCos += Math.cos(angle) * weight;
+    }
+
+    // Opposing directions cancel out - there is no meaningful mean
+    if (Math.hypot(sumSin, sumCos) < 1e-9) {
+      return null;
+    }
+
+    const angle = Math.atan2(sumSin, sumCos);
+    return angle < 0 ? angle + 2 * Math.PI : angle;
+  }
+
+  /**
+   * Build the field-to-provider map for single-provider data
+   * @param {Object} weatherData Standardized weather data
+   * @param {Array<string>} names Provider names
+   * @returns {Object} Map of field name to provider names
+   */
+  buildFieldSources(weatherData, names) {
+    const fieldSources = {};
+    for (const field of [...SCALAR_FIELDS, ...ANGULAR_FIELDS, ...TEXT_FIELDS]) {
+      if (weatherData[field] !== null && weatherData[field] !== undefined) {
+        fieldSources[field] = names;
+      }
+    }
+    return fieldSources;
+  }
+
+  /**
+   * Mark a provider healthy after a successful fetch
+   * @param {number} index Provider entry index
+   */
+  recordSuccess(index) {
+    const health = this.health[index];
+    health.healthy = true;
+    health.lastSuccess = new Date().toISOString();
+    health.consecutiveFailures = 0;
+  }
+
+  /**
+   * Mark a provider unhealthy after a failed fetch
+   * @param {number} index Provider entry index
+   * @param {Error} error Failure reason
+   */
+  recordFailure(index, error) {
+    const health = this.health[index];
+    health.healthy = false;
+    health.lastError = error.message;
+    health.consecutiveFailures++;
+  }
+
+  /**
+   * Get the first recorded position a provider can supply (replay only)
+   * @returns {Object|null} Position with latitude/longitude
+   */
+  getRecordedPosition() {
+    for (const { provider } of this.entries) {
+      const position = provider.getRecordedPosition();
+      if (position) {
+        return position;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Abort in-flight requests of every configured provider
+   */
+  cancel() {
+    for (const { provider } of this.entries) {
+      provider.cancel();
+    }
+  }
+
+  /**
+   * Get health information for each configured provider
+   * @returns {Array<Object>} Provider health records in priority order
+   */
+  getHealth() {
+    return this.health.map((health, index) => ({
+      ...health,
+      weight: this.entries[index].weight,
+    }));
+  }
+}
+
+module.exports = ProviderAggregator;
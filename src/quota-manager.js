@@ -0,0 +1,152 @@
+const JsonStateFile = require('./json-state-file');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * API Quota Manager
+ * Counts API calls per UTC day against a daily limit. The count is persisted to a
+ * small JSON file so restarts do not reset the budget, and the remaining calls can be
+ * spread evenly over the rest of the day.
+ */
+class QuotaManager {
+  /**
+   * @param {Object} options Quota options
+   * @param {string} options.name Provider name used in messages
+   * @param {number} options.dailyLimit Maximum calls per UTC day
+   * @param {string|null} [options.filePath] File to persist the count in (memory only when null)
+   * @param {Function} debug Debug logger
+   */
+  constructor(options, debug) {
+    this.name = options.name;
+    this.dailyLimit = options.dailyLimit;
+    this.debug = debug || (() => {});
+    this.file = new JsonStateFile(
+      { name: `${this.name} quota`, filePath: options.filePath },
+      this.debug
+    );
+    this.day = this.getDayKey(new Date());
+    this.used = 0;
+
+    this.load();
+  }
+
+  /**
+   * Restore today's count from disk
+   */
+  load() {
+    const saved = this.file.load();
+    if (saved?.day === this.day && typeof saved.used === 'number') {
+      this.used = saved.used;
+      this.debug(`${this.name} quota restored: ${this.used}/${this.dailyLimit} calls used today`);
+    }
+  }
+
+  /**
+   * Persist today's count
+   */
+  save() {
+    this.file.save({ day: this.day, used: this.used });
+  }
+
+  /**
+   * Start a new count when the UTC day changes
+   * @param {Date} now Current time
+   */
+  rollOver(now) {
+    const day = this.getDayKey(now);
+    if (day !== this.day) {
+      this.debug(`${this.name} quota reset for ${day}`);
+      this.day = day;
+      this.used = 0;
+      this.save();
+    }
+  }
+
+  /**
+   * Count one API call, refusing it when the daily limit has been reached
+   * @param {Date} [now] Current time
+   * @throws {Error} When the daily limit has been reached
+   */
+  consume(now = new Date()) {
+    this.rollOver(now);
+
+    if (this.used >= this.dailyLimit) {
+      throw new Error(
+        `${this.name} daily quota of ${this.dailyLimit} calls reached, resets at ${this.getResetTime(now).toISOString()}`
+      );
+    }
+
+    this.used++;
+    this.save();
+  }
+
+  /**
+   * Mark the quota as used up, e.g. after the API itself answered with HTTP 429
+   * @param {Date} [now] Current time
+   */
+  exhaust(now = new Date()) {
+    this.rollOver(now);
+    this.used = Math.max(this.used, this.dailyLimit);
+    this.save();
+  }
+
+  /**
+   * Get the calls left today
+   * @param {Date} [now] Current time
+   * @returns {number} Remaining calls
+   */
+  getRemaining(now = new Date()) {
+    this.rollOver(now);
+    return Math.max(0, this.dailyLimit - this.used);
+  }
+
+  /**
+   * Get the spacing that spreads a share of the remaining calls evenly over the rest of the day
+   * @param {number} [share] Fraction of the remaining calls available to the caller (default: 1)
+   * @param {Date} [now] Current time
+   * @returns {number} Milliseconds between calls (Infinity when nothing is left)
+   */
+  getCallSpacing(share = 1, now = new Date()) {
+    const remaining = this.getRemaining(now) * share;
+    if (remaining <= 0) {
+      return Number.POSITIVE_INFINITY;
+    }
+    return (this.getResetTime(now).getTime() - now.getTime()) / remaining;
+  }
+
+  /**
+   * Get the current quota state for status reporting
+   * @param {Date} [now] Current time
+   * @returns {Object} { provider, used, limit, remaining, resetsAt }
+   */
+  getStatus(now = new Date()) {
+    const remaining = this.getRemaining(now);
+    return {
+      provider: this.name,
+      used: Math.min(this.used, this.dailyLimit),
+      limit: this.dailyLimit,
+      remaining,
+      resetsAt: this.getResetTime(now).toISOString(),
+    };
+  }
+
+  /**
+   * Get the start of the next UTC day
+   * @param {Date} now Current time
+   * @returns {Date} Reset time
+   */
+  getResetTime(now) {
+    return new Date(Math.floor(now.getTime() / DAY_MS) * DAY_MS + DAY_MS);
+  }
+
+  /**
+   * Get the UTC day key (YYYY-MM-DD) for a date
+   * @param {Date} date Date
+   * @returns {string} Day key
+   */
+  getDayKey(date) {
+    return date.toISOString().slice(0, 10);
+  }
+}
+
+module.exports = QuotaManager;
@@ -0,0 +1,145 @@
+const WeatherProvider = require('./weather-provider');
+const WeatherReplay = require('./weather-replay');
+
+// Provider that made the recorded requests, by the API name stored in the recording
+const RECORDED_PROVIDERS = {
+  AccuWeather: 'accuweather',
+  'Open-Meteo': 'open-meteo',
+  NWS: 'nws',
+};
+
+// Time fields shifted so replayed data looks current to staleness and expiry checks
+const TIME_FIELDS = ['timestamp', 'time', 'date', 'startTime', 'endTime'];
+
+/**
+ * Replay Service
+ * Weather provider that serves responses recorded with `recordResponses` without
+ * network access or API keys. The recorded provider parses the responses exactly as
+ * it did live, so a bad reading from a passage can be reproduced, and times are
+ * shifted to the present so the plugin publishes them like live data.
+ */
+class ReplayService extends WeatherProvider {
+  static providerName = 'Replay';
+
+  constructor(settings, debug) {
+    super(settings, debug);
+    if (!settings.fixtureDirectory) {
+      throw new Error('Replay needs a fixture directory with recorded responses');
+    }
+    this.replay = new WeatherReplay(
+      { directory: settings.fixtureDirectory, speed: settings.replaySpeed },
+      debug
+    );
+
+    const recorded = this.replay.getProviders().find((name) => RECORDED_PROVIDERS[name]);
+    if (!recorded) {
+      throw new Error('Recording does not contain responses from a known weather provider');
+    }
+
+    // The recorded provider runs against the recording: no persisted state, no quota limits
+    const { createWeatherProvider } = require('./weather-providers');
+    this.provider = createWeatherProvider(
+      RECORDED_PROVIDERS[recorded],
+      {
+        ...settings,
+        dataDir: null,
+        recorder: null,
+        replay: this.replay,
+        accuWeatherApiKey: settings.accuWeatherApiKey || 'replay',
+        accuWeatherDailyLimit: Number.MAX_SAFE_INTEGER,
+        nwsMaxObservationAge: Number.POSITIVE_INFINITY,
+      },
+      debug
+    );
+    this.debug(`Replaying recorded ${recorded} responses`);
+  }
+
+  /**
+   * Serve the recorded current conditions at the replay time
+   * @param {Object} position Position object with latitude/longitude
+   * @returns {Promise<Object>} Weather data with times shifted to now
+   */
+  async fetchCurrentWeather(position) {
+    const weatherData = await this.provider.fetchCurrentWeather(position);
+    return { ...this.shiftTimes(weatherData), source: `${weatherData.source} (replay)` };
+  }
+
+  /**
+   * Serve the recorded forecast at the replay time
+   * @param {Object} position Position object with latitude/longitude
+   * @returns {Promise<Object|null>} Forecast data with times shifted to now, or null
+   */
+  async fetchForecast(position) {
+    const forecast = await this.provider.fetchForecast(position);
+    if (!forecast) {
+      return null;
+    }
+    return {
+      ...forecast,
+      hourly: (forecast.hourly || []).map((hour) => this.shiftTimes(hour)),
+      daily: (forecast.daily || []).map((day) => this.shiftTimes(day)),
+    };
+  }
+
+  /**
+   * Serve the recorded hourly forecast at the replay time
+   * @param {Object} position Position object with latitude/longitude
+   * @returns {Promise<Object|null>} Forecast data with times shifted to now, or null
+   */
+  async fetchHourlyForecast(position) {
+    const forecast = await this.provider.fetchHourlyForecast(position);
+    if (!forecast) {
+      return null;
+    }
+    return { ...forecast, hourly: (forecast.hourly || []).map((hour) => this.shiftTimes(hour)) };
+  }
+
+  /**
+   * Serve the recorded alerts at the replay time
+   * @param {Object} position Position object with latitude/longitude
+   * @returns {Promise<Object|null>} Alert data with times shifted to now, or null
+   */
+  async fetchAlerts(position) {
+    const alertData = await this.provider.fetchAlerts(position);
+    if (!alertData) {
+      return null;
+    }
+    return { ...alertData, alerts: alertData.alerts.map((alert) => this.shiftTimes(alert)) };
+  }
+
+  /**
+   * Abort in-flight requests of the recorded provider
+   */
+  cancel() {
+    this.provider.cancel();
+  }
+
+  /**
+   * Get the position the recording was made at
+   * @returns {Object|null} Position with latitude/longitude
+   */
+  getRecordedPosition() {
+    return this.replay.getPosition();
+  }
+
+  /**
+   * Move recorded times forward by the distance between the replay clock and now
+   * @param {Object} data Object with ISO time fields
+   * @returns {Object} Copy with shifted times
+   */
+  shiftTimes(data) {
+    const offset = Date.now() - this.replay.getReplayTime();
+    const shifted = { ...data };
+
+    for (const field of TIME_FIELDS) {
+      const time = Date.parse(data[field]);
+      if (Number.isFinite(time)) {
+        shifted[field] = new Date(time + offset).toISOString();
+      }
+    }
+
+    return shifted;
+  }
+}
+
+module.exports = ReplayService;
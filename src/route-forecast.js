@@ -0,0 +1,120 @@
+const { calculateDistance, isValidNumber } = require('./weather-utils');
+
+const HOUR_MS = 60 * 60 * 1000;
+const MS_PER_KNOT = 1852 / 3600;
+
+// Hourly forecasts reach 12 hours ahead; waypoints reached later are not fetched
+const FORECAST_HORIZON = 12 * HOUR_MS;
+
+/**
+ * Route Forecaster
+ * Estimates when the vessel reaches each upcoming waypoint of the active route at the
+ * current speed over ground, picks the hourly forecast for that time and flags
+ * waypoints where forecast wind or gusts exceed the configured limits.
+ */
+class RouteForecaster {
+  /**
+   * @param {Object} [options] Forecaster options
+   * @param {number} [options.maxWaypoints] Upcoming waypoints to forecast (default: 5)
+   * @param {number} [options.windLimit] Wind speed limit in knots (default: 25)
+   * @param {number} [options.gustLimit] Gust limit in knots (default: 35)
+   * @param {number} [options.minSpeed] Slowest speed in m/s an ETA is estimated for (default: 0.5)
+   * @param {Function} debug Debug logger
+   */
+  constructor(options = {}, debug) {
+    this.maxWaypoints = options.maxWaypoints ?? 5;
+    this.windLimit = (options.windLimit ?? 25) * MS_PER_KNOT;
+    this.gustLimit = (options.gustLimit ?? 35) * MS_PER_KNOT;
+    this.minSpeed = options.minSpeed ?? 0.5;
+    this.debug = debug || (() => {});
+  }
+
+  /**
+   * Estimate distance and arrival time for each upcoming waypoint
+   * ETAs are left null when the vessel is not making way
+   * @param {Object} position Vessel position with latitude/longitude
+   * @param {Array<Object>} waypoints Waypoints ({ name, latitude, longitude }) in sailing order
+   * @param {number|null} speedOverGround Speed over ground in m/s
+   * @param {number} [now] Current time in ms
+   * @returns {Array<Object>} Arrivals ({ name, position, distance in m, eta ISO string or null })
+   */
+  planArrivals(position, waypoints, speedOverGround, now = Date.now()) {
+    const underway = isValidNumber(speedOverGround) && speedOverGround >= this.minSpeed;
+    let from = position;
+    let distance = 0;
+
+    return waypoints.slice(0, this.maxWaypoints).map((waypoint) => {
+      const to = { latitude: waypoint.latitude, longitude: waypoint.longitude };
+      distance += calculateDistance(from, to);
+      from = to;
+
+      return {
+        name: waypoint.name,
+        position: to,
+        distance,
+        eta: underway ? new Date(now + (distance / speedOverGround) * 1000).toISOString() : null,
+      };
+    });
+  }
+
+  /**
+   * Check whether a forecast should be fetched for an arrival
+   * @param {Object} arrival Arrival from planArrivals
+   * @param {number} [now] Current time in ms
+   * @returns {boolean} True when the ETA is known and within the forecast horizon
+   */
+  isWithinHorizon(arrival, now = Date.now()) {
+    return arrival.eta !== null && Date.parse(arrival.eta) - now <= FORECAST_HORIZON;
+  }
+
+  /**
+   * Pick the hourly forecast entry closest to an arrival time
+   * @param {Object} forecast Forecast data with an `hourly` array
+   * @param {string} eta Arrival time (ISO string)
+   * @returns {Object|null} Forecast conditions at the ETA or null when no entry is within an hour
+   */
+  selectForecast(forecast, eta) {
+    const arrival = Date.parse(eta);
+    let closest = null;
+    let closestOffset = Number.POSITIVE_INFINITY;
+
+    for (const hour of forecast?.hourly || []) {
+      const offset = Math.abs(Date.parse(hour.time) - arrival);
+      if (offset < closestOffset) {
+        closest = hour;
+        closestOffset = offset;
+      }
+    }
+
+    if (!closest || closestOffset > HOUR_MS) {
+      return null;
+    }
+
+    return {
+      time: closest.time,
+      windSpeed: closest.windSpeed ?? null,
+      windGust: closest.windGust ?? null,
+      windDirection: closest.windDirection ?? null,
+      temperature: closest.temperature ?? null,
+      precipitationProbability: closest.precipitationProbability ?? null,
+      description: closest.description ?? null,
+    };
+  }
+
+  /**
+   * Flag waypoints whose forecast wind or gusts exceed the limits
+   * @param {Array<Object>} waypoints Arrivals with a `forecast` (or null)
+   * @returns {Array<Object>} Waypoints with an `exceedsLimits` flag
+   */
+  checkLimits(waypoints) {
+    return waypoints.map((waypoint) => ({
+      ...waypoint,
+      exceedsLimits:
+        (isValidNumber(waypoint.forecast?.windSpeed) &&
+          waypoint.forecast.windSpeed > this.windLimit) ||
+        (isValidNumber(waypoint.forecast?.windGust) && waypoint.forecast.windGust > this.gustLimit),
+    }));
+  }
+}
+
+module.exports = RouteForecaster;
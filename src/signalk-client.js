@@ -1,3 +1,8 @@
+const { WMM_NAME, calculateMagneticVariation } = require('./magnetic-model');
+
+// Source label this plugin publishes under - excluded when looking for real sensors
+const PLUGIN_SOURCE_LABEL = 'signalk-n2k-weather-provider';
+
 class SignalKClient {
   constructor(app, debug) {
     this.app = app;
@@ -91,59 +96,141 @@ class SignalKClient {
   }
 
   /**
-   * Get vessel course over ground from SignalK navigation data with fallbacks
+   * Get vessel course over ground (true) from SignalK navigation data
+   * Falls back to magnetic course corrected by the magnetic variation; heading is never used,
+   * as the course is the direction of travel
    * @returns {number|null} Course in radians or null if not available
    */
   getVesselCourseOverGroundTrue() {
-    try {
-      // Try primary course over ground true first
-      let courseData = this.app.getSelfPath('navigation.courseOverGroundTrue');
+    const course =
+      this.getNavigationAngle('navigation.courseOverGroundTrue') ||
+      this.toTrue(this.getNavigationAngle('navigation.courseOverGroundMagnetic'));
 
-      // Fallback to magnetic course if true course not available
-      if (!courseData || typeof courseData.value !== 'number') {
-        this.debug('No true course data, trying magnetic course');
-        courseData = this.app.getSelfPath('navigation.courseOverGroundMagnetic');
-      }
+    if (course === null) {
+      this.debug('No course over ground available');
+      return null;
+    }
 
-      // Fallback to heading if course not available
-      if (!courseData || typeof courseData.value !== 'number') {
-        this.debug('No course data, trying heading true');
-        courseData = this.app.getSelfPath('navigation.headingTrue');
-      }
+    this.cachedData.courseOverGroundTrue = course;
+    return course.value;
+  }
 
-      // Fallback to magnetic heading
-      if (!courseData || typeof courseData.value !== 'number') {
-        this.debug('No true heading, trying magnetic heading');
-        courseData = this.app.getSelfPath('navigation.headingMagnetic');
-      }
+  /**
+   * Get vessel heading (true) from SignalK navigation data
+   * Falls back to magnetic heading corrected by the magnetic variation
+   * @returns {number|null} Heading in radians or null if not available
+   */
+  getVesselHeadingTrue() {
+    const heading =
+      this.getNavigationAngle('navigation.headingTrue') ||
+      this.toTrue(this.getNavigationAngle('navigation.headingMagnetic'));
+
+    if (heading === null) {
+      this.debug('No heading available');
+      return null;
+    }
+
+    return heading.value;
+  }
 
-      if (!courseData || typeof courseData.value !== 'number') {
-        this.debug('No course or heading data available from any source');
+  /**
+   * Get magnetic variation from navigation.magneticVariation, or from the World Magnetic Model
+   * for the vessel (or given) position when no instrument provides it
+   * @param {Object} [position] Position to use when the vessel position is not available
+   * @returns {Object|null} { value (radians, positive east), source } or null without a position
+   */
+  getMagneticVariation(position) {
+    const variationData = this.app.getSelfPath('navigation.magneticVariation');
+    if (typeof variationData?.value === 'number' && !this.isFromNodeRedSource(variationData)) {
+      return { value: variationData.value, source: 'navigation.magneticVariation' };
+    }
+
+    const modelPosition = this.getVesselPosition() || position;
+    if (!modelPosition) {
+      return null;
+    }
+
+    return {
+      value: calculateMagneticVariation(modelPosition.latitude, modelPosition.longitude),
+      source: WMM_NAME,
+    };
+  }
+
+  /**
+   * Convert a magnetic navigation angle to true using the magnetic variation
+   * @param {Object|null} angle { value, timestamp, source } in radians magnetic
+   * @returns {Object|null} Same angle in radians true, or null without a variation
+   */
+  toTrue(angle) {
+    if (angle === null) {
+      return null;
+    }
+
+    const variation = this.getMagneticVariation();
+    if (variation === null) {
+      this.debug('Cannot convert magnetic angle to true without a magnetic variation');
+      return null;
+    }
+
+    const fullCircle = 2 * Math.PI;
+    return {
+      ...angle,
+      value: (((angle.value + variation.value) % fullCircle) + fullCircle) % fullCircle,
+    };
+  }
+
+  /**
+   * Get vessel speed through water from SignalK navigation data
+   * @returns {number|null} Speed in m/s or null if not available
+   */
+  getVesselSpeedThroughWater() {
+    const speedData = this.app.getSelfPath('navigation.speedThroughWater');
+
+    if (!speedData || typeof speedData.value !== 'number' || speedData.value < 0) {
+      return null;
+    }
+
+    if (this.isFromNodeRedSource(speedData)) {
+      this.debug('Ignoring speed through water from signalk-node-red source');
+      return null;
+    }
+
+    return speedData.value;
+  }
+
+  /**
+   * Read a navigation angle (0-2π radians), ignoring signalk-node-red sources
+   * @param {string} path SignalK path relative to vessels.self
+   * @returns {Object|null} { value, timestamp, source } or null if not available
+   */
+  getNavigationAngle(path) {
+    try {
+      const angleData = this.app.getSelfPath(path);
+
+      if (!angleData || typeof angleData.value !== 'number') {
         return null;
       }
 
       // Filter out data from signalk-node-red sources
-      if (this.isFromNodeRedSource(courseData)) {
-        this.debug('Ignoring course/heading data from signalk-node-red source');
+      if (this.isFromNodeRedSource(angleData)) {
+        this.debug(`Ignoring ${path} from signalk-node-red source`);
         return null;
       }
 
-      // Validate course data (should be 0-2π radians)
-      if (courseData.value < 0 || courseData.value > 2 * Math.PI) {
-        this.debug('Invalid course value (outside 0-2π range):', courseData.value);
+      // Validate angle (should be 0-2π radians)
+      if (angleData.value < 0 || angleData.value > 2 * Math.PI) {
+        this.debug(`Invalid ${path} value (outside 0-2π range):`, angleData.value);
         return null;
       }
 
-      this.cachedData.courseOverGroundTrue = {
-        value: courseData.value,
-        timestamp: courseData.timestamp || new Date().toISOString(),
-        source: courseData.source,
+      this.debug(`Retrieved ${path}:`, angleData.value, 'radians');
+      return {
+        value: angleData.value,
+        timestamp: angleData.timestamp || new Date().toISOString(),
+        source: angleData.source,
       };
-
-      this.debug('Retrieved vessel course/heading:', courseData.value, 'radians');
-      return courseData.value;
     } catch (error) {
-      this.debug('Error retrieving vessel course/heading:', error);
+      this.debug(`Error retrieving ${path}:`, error);
       return null;
     }
   }
@@ -157,6 +244,9 @@ class SignalKClient {
       position: this.getVesselPosition(),
       speedOverGround: this.getVesselSpeedOverGround(),
       courseOverGroundTrue: this.getVesselCourseOverGroundTrue(),
+      headingTrue: this.getVesselHeadingTrue(),
+      speedThroughWater: this.getVesselSpeedThroughWater(),
+      magneticVariation: this.getMagneticVariation(),
       dataAge: this.getDataAge(),
       isComplete: false,
     };
@@ -172,6 +262,8 @@ class SignalKClient {
       hasPosition: !!vesselData.position,
       hasSpeed: typeof vesselData.speedOverGround === 'number',
       hasCourse: typeof vesselData.courseOverGroundTrue === 'number',
+      hasHeading: typeof vesselData.headingTrue === 'number',
+      hasSpeedThroughWater: typeof vesselData.speedThroughWater === 'number',
       isComplete: vesselData.isComplete,
     });
 
@@ -179,6 +271,205 @@ class SignalKClient {
     return vesselData;
   }
 
+  /**
+   * Get the freshest value for a path from a source other than this plugin
+   * Used to detect real onboard sensors (barometer, anemometer, etc.)
+   * @param {string} path SignalK path relative to vessels.self
+   * @param {number} [maxAgeSeconds] Maximum value age in seconds (default: 60)
+   * @returns {Object|null} { value, source, timestamp } or null if no fresh external value
+   */
+  getExternalSensorValue(path, maxAgeSeconds = 60) {
+    try {
+      return this.getFreshestExternalValue(this.app.getSelfPath(path), maxAgeSeconds);
+    } catch (error) {
+      this.debug(`Error reading sensor value for ${path}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Pick the freshest numeric value of a data node from a source other than this plugin
+   * @param {Object|undefined} data Data node ({ value, timestamp, $source, values })
+   * @param {number} maxAgeSeconds Maximum value age in seconds
+   * @returns {Object|null} { value, source, timestamp } or null if no fresh external value
+   */
+  getFreshestExternalValue(data, maxAgeSeconds) {
+    if (!data) {
+      return null;
+    }
+
+    // With several sources the server keeps each one under `values`
+    const candidates = data.values
+      ? Object.entries(data.values).map(([source, entry]) => ({ source, ...entry }))
+      : [{ source: data.$source, value: data.value, timestamp: data.timestamp }];
+
+    const now = Date.now();
+    let freshest = null;
+    for (const candidate of candidates) {
+      const source = String(candidate.source || '');
+      if (source.startsWith(PLUGIN_SOURCE_LABEL) || this.isFromNodeRedSource({ source })) {
+        continue;
+      }
+      if (typeof candidate.value !== 'number' || !Number.isFinite(candidate.value)) {
+        continue;
+      }
+
+      const time = Date.parse(candidate.timestamp);
+      if (!Number.isFinite(time) || now - time > maxAgeSeconds * 1000) {
+        continue;
+      }
+
+      if (!freshest || time > freshest.time) {
+        freshest = { value: candidate.value, source, timestamp: candidate.timestamp, time };
+      }
+    }
+
+    if (!freshest) {
+      return null;
+    }
+
+    const { time: _time, ...result } = freshest;
+    return result;
+  }
+
+  /**
+   * Get the meteorological stations received over AIS (`meteo.*` contexts) with fresh values
+   * The fixed locations this plugin publishes as meteo contexts are left out
+   * @param {Array<string>} paths Paths to read from each station, e.g. 'environment.outside.pressure'
+   * @param {number} [maxAgeSeconds] Maximum value age in seconds (default: 1800)
+   * @returns {Array<Object>} Stations ({ id, name, position, values: { [path]: { value, source, timestamp } } })
+   */
+  getMeteoStations(paths, maxAgeSeconds = 1800) {
+    let contexts = null;
+    try {
+      contexts = this.app.getPath('meteo');
+    } catch (error) {
+      this.debug('Error reading meteo contexts:', error);
+    }
+    if (!contexts || typeof contexts !== 'object') {
+      return [];
+    }
+
+    const stations = [];
+    for (const [id, station] of Object.entries(contexts)) {
+      const position = station?.navigation?.position;
+      if (
+        !this.isValidPosition(position?.value) ||
+        String(position.$source || '').startsWith(PLUGIN_SOURCE_LABEL)
+      ) {
+        continue;
+      }
+
+      const values = {};
+      for (const path of paths) {
+        const node = path.split('.').reduce((parent, key) => parent?.[key], station);
+        const value = this.getFreshestExternalValue(node, maxAgeSeconds);
+        if (value) {
+          values[path] = value;
+        }
+      }
+
+      stations.push({
+        id,
+        name: typeof station.name === 'string' ? station.name : id,
+        position: { latitude: position.value.latitude, longitude: position.value.longitude },
+        values,
+      });
+    }
+
+    return stations;
+  }
+
+  /**
+   * Get the position of the next waypoint (course API v2, falling back to courseGreatCircle)
+   * @returns {Object|null} Position with latitude/longitude or null without an active destination
+   */
+  getNextPoint() {
+    const nextPoint = this.app.getSelfPath('navigation.course.nextPoint');
+    const legacyPosition = this.app.getSelfPath('navigation.courseGreatCircle.nextPoint.position');
+    const position = nextPoint?.value?.position || legacyPosition?.value;
+
+    if (!this.isValidPosition(position)) {
+      return null;
+    }
+    return { latitude: position.latitude, longitude: position.longitude };
+  }
+
+  /**
+   * Get the active route reference and progress along it
+   * @returns {Object|null} { href, pointIndex, reverse, name } or null when no route is active
+   */
+  getActiveRoute() {
+    const activeRoute = this.app.getSelfPath('navigation.course.activeRoute')?.value;
+    if (activeRoute?.href) {
+      return {
+        href: activeRoute.href,
+        pointIndex: typeof activeRoute.pointIndex === 'number' ? activeRoute.pointIndex : 0,
+        reverse: !!activeRoute.reverse,
+        name: activeRoute.name || null,
+      };
+    }
+
+    const legacyHref = this.app.getSelfPath('navigation.courseGreatCircle.activeRoute.href')?.value;
+    if (typeof legacyHref === 'string' && legacyHref) {
+      return { href: legacyHref, pointIndex: null, reverse: false, name: null };
+    }
+
+    return null;
+  }
+
+  /**
+   * Get the waypoints still ahead on the active route, starting with the next point
+   * Without a readable route resource only the next point is returned
+   * @returns {Promise<Array<Object>>} Waypoints ({ name, latitude, longitude }) in sailing order
+   */
+  async getUpcomingWaypoints() {
+    const nextPoint = this.getNextPoint();
+    const activeRoute = this.getActiveRoute();
+    const fallback = nextPoint ? [{ name: 'Next point', ...nextPoint }] : [];
+
+    if (!activeRoute || typeof this.app.resourcesApi?.getResource !== 'function') {
+      return fallback;
+    }
+
+    try {
+      const routeId = activeRoute.href.split('/').pop();
+      const route = await this.app.resourcesApi.getResource('routes', routeId);
+      const coordinates = route?.feature?.geometry?.coordinates;
+      if (!Array.isArray(coordinates) || coordinates.length === 0) {
+        return fallback;
+      }
+
+      // GeoJSON coordinates are [longitude, latitude]
+      const meta = route.feature.properties?.coordinatesMeta || [];
+      let waypoints = coordinates.map(([longitude, latitude], index) => ({
+        name: meta[index]?.name || `${route.name || activeRoute.name || 'Route'} ${index + 1}`,
+        latitude,
+        longitude,
+      }));
+      if (activeRoute.reverse) {
+        waypoints = waypoints.reverse();
+      }
+
+      // Older servers do not report the point index, so start at the waypoint matching nextPoint
+      let startIndex = activeRoute.pointIndex;
+      if (startIndex === null && nextPoint) {
+        startIndex = waypoints.findIndex(
+          (waypoint) =>
+            Math.abs(waypoint.latitude - nextPoint.latitude) < 1e-6 &&
+            Math.abs(waypoint.longitude - nextPoint.longitude) < 1e-6
+        );
+      }
+
+      return waypoints
+        .slice(Math.max(0, startIndex ?? 0))
+        .filter((waypoint) => this.isValidPosition(waypoint));
+    } catch (error) {
+      this.debug('Error reading active route:', error);
+      return fallback;
+    }
+  }
+
   /**
    * Get cached vessel data without making new SignalK calls
    * @returns {Object} Cached vessel data
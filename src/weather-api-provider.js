@@ -0,0 +1,187 @@
+/**
+ * SignalK Weather API Provider
+ * Adapts the configured weather providers to the SignalK server 2.x Weather API
+ * (app.registerWeatherProvider) so apps can request data for any position
+ */
+
+// Map normalized pressure tendency to the Weather API TendencyKind
+const TENDENCY_KINDS = {
+  falling: 'decreasing',
+  rising: 'increasing',
+  steady: 'steady',
+};
+
+// Cached responses kept at most; expired ones are dropped whenever a new one is stored
+const MAX_CACHE_ENTRIES = 100;
+
+/**
+ * Convert normalized weather data to a Weather API observation
+ * @param {Object} weatherData Standardized weather data
+ * @returns {Object} WeatherData of type 'observation'
+ */
+function toObservation(weatherData) {
+  return {
+    date: weatherData.timestamp || new Date().toISOString(),
+    type: 'observation',
+    description: weatherData.description || undefined,
+    outside: {
+      temperature: weatherData.temperature ?? undefined,
+      dewPointTemperature: weatherData.dewPoint ?? undefined,
+      feelsLikeTemperature: weatherData.heatIndex ?? undefined,
+      pressure: weatherData.pressure ?? undefined,
+      pressureTendency: TENDENCY_KINDS[weatherData.pressureTendency] ?? undefined,
+      relativeHumidity: weatherData.humidity ?? undefined,
+      horizontalVisibility: weatherData.visibility ?? undefined,
+      uvIndex: weatherData.uvIndex ?? undefined,
+      cloudCover: weatherData.cloudCover ?? undefined,
+      precipitationVolume: weatherData.precipitationLastHour ?? undefined,
+    },
+    wind: {
+      speedTrue: weatherData.windSpeed ?? undefined,
+      directionTrue: weatherData.windDirection ?? undefined,
+      gust: weatherData.windGust ?? undefined,
+    },
+  };
+}
+
+/**
+ * Convert a normalized hourly forecast entry to a Weather API point forecast
+ * @param {Object} hour Hourly forecast entry
+ * @returns {Object} WeatherData of type 'point'
+ */
+function toPointForecast(hour) {
+  return {
+    date: hour.time,
+    type: 'point',
+    description: hour.description || undefined,
+    outside: {
+      temperature: hour.temperature ?? undefined,
+      relativeHumidity: hour.humidity ?? undefined,
+    },
+    wind: {
+      speedTrue: hour.windSpeed ?? undefined,
+      directionTrue: hour.windDirection ?? undefined,
+      gust: hour.windGust ?? undefined,
+    },
+  };
+}
+
+/**
+ * Convert a normalized daily forecast entry to a Weather API daily forecast
+ * @param {Object} day Daily forecast entry
+ * @returns {Object} WeatherData of type 'daily'
+ */
+function toDailyForecast(day) {
+  return {
+    date: day.date,
+    type: 'daily',
+    description: day.day?.description || undefined,
+    outside: {
+      minTemperature: day.temperatureMin ?? undefined,
+      maxTemperature: day.temperatureMax ?? undefined,
+    },
+    wind: {
+      speedTrue: day.day?.windSpeed ?? undefined,
+      directionTrue: day.day?.windDirection ?? undefined,
+      gust: day.day?.windGust ?? undefined,
+    },
+  };
+}
+
+/**
+ * Convert a normalized alert to a Weather API warning
+ * @param {Object} alert Normalized alert
+ * @returns {Object} WeatherWarning
+ */
+function toWarning(alert) {
+  return {
+    startTime: alert.startTime,
+    endTime: alert.endTime,
+    details: `${alert.title}: ${alert.message}`,
+    source: alert.source,
+    type: alert.level || 'Warning',
+  };
+}
+
+/**
+ * Create a Weather API provider backed by a ProviderAggregator
+ * Responses are cached per rounded position to protect API quotas
+ * @param {ProviderAggregator} aggregator Configured providers, with health kept apart from the vessel
+ * @param {Object} options Provider options
+ * @param {number} options.cacheTtl Cache lifetime in milliseconds
+ * @param {Function} debug Debug logger
+ * @returns {Object} Weather API provider ({ name, methods })
+ */
+function createWeatherApiProvider(aggregator, options, debug) {
+  const log = debug || (() => {});
+  const cache = new Map();
+
+  async function cached(kind, position, fetcher) {
+    const key = `${kind}:${position.latitude.toFixed(2)},${position.longitude.toFixed(2)}`;
+    const entry = cache.get(key);
+    if (entry && Date.now() - entry.time < options.cacheTtl) {
+      log(`Weather API: using cached ${kind} for ${key}`);
+      return entry.value;
+    }
+
+    const value = await fetcher();
+    const now = Date.now();
+    for (const [cachedKey, cachedEntry] of cache) {
+      if (now - cachedEntry.time >= options.cacheTtl) {
+        cache.delete(cachedKey);
+      }
+    }
+    // Re-insert so the Map stays in fetch order and the oldest entry is dropped first
+    cache.delete(key);
+    cache.set(key, { time: now, value });
+    if (cache.size > MAX_CACHE_ENTRIES) {
+      cache.delete(cache.keys().next().value);
+    }
+    return value;
+  }
+
+  return {
+    name: 'NMEA2000 Weather Provider',
+    methods: {
+      getObservations: async (position, params) => {
+        const weatherData = await cached('observation', position, () =>
+          aggregator.fetchCurrentWeather(position)
+        );
+        const observations = [toObservation(weatherData)];
+        return params?.maxCount ? observations.slice(0, params.maxCount) : observations;
+      },
+
+      getForecasts: async (position, type, params) => {
+        const forecast = await cached('forecast', position, () =>
+          aggregator.fetchForecast(position)
+        );
+        if (!forecast) {
+          throw new Error('No configured weather provider supplies forecasts');
+        }
+
+        const forecasts =
+          type === 'daily'
+            ? (forecast.daily || []).map(toDailyForecast)
+            : (forecast.hourly || []).map(toPointForecast);
+        return params?.maxCount ? forecasts.slice(0, params.maxCount) : forecasts;
+      },
+
+      getWarnings: async (position) => {
+        const alertData = await cached('warnings', position, () =>
+          aggregator.fetchAlerts(position)
+        );
+        if (!alertData) {
+          return [];
+        }
+
+        return alertData.alerts
+          .map(toWarning)
+          .sort((a, b) => Date.parse(a.startTime) - Date.parse(b.startTime));
+      },
+    },
+  };
+}
+
+module.exports = {
+  createWeatherApiProvider,
+};
@@ -0,0 +1,121 @@
+/**
+ * Weather Provider Base Class
+ * Defines the interface every weather data source implements so WeatherService
+ * can select a provider from settings without knowing its API details
+ */
+class WeatherProvider {
+  constructor(settings, debug) {
+    this.settings = settings || {};
+    this.debug = debug || (() => {});
+  }
+
+  /**
+   * Provider identifier used in settings and the `source` field of weather data
+   * @returns {string} Provider name
+   */
+  get name() {
+    return this.constructor.providerName || 'Unknown';
+  }
+
+  /**
+   * Whether the provider reads data received locally rather than calling a remote API
+   * Local providers keep their place in the failover order after a failure
+   * @returns {boolean} True for local providers
+   */
+  get isLocal() {
+    return false;
+  }
+
+  /**
+   * Fetch current weather for a position in the standard format
+   * (temperature K, pressure Pa, humidity ratio, wind m/s and rad)
+   * @param {Object} _position Position object with latitude/longitude
+   * @returns {Promise<Object>} Standardized weather data
+   */
+  async fetchCurrentWeather(_position) {
+    throw new Error(`${this.name} provider does not implement fetchCurrentWeather`);
+  }
+
+  /**
+   * Fetch hourly and daily forecasts for a position
+   * Providers without forecast support return null
+   * @param {Object} _position Position object with latitude/longitude
+   * @returns {Promise<Object|null>} Forecast data ({ hourly, daily }) or null
+   */
+  async fetchForecast(_position) {
+    return null;
+  }
+
+  /**
+   * Fetch the hourly forecast for a position, e.g. at a route waypoint
+   * Providers that get hourly and daily data in one request return the full forecast
+   * @param {Object} position Position object with latitude/longitude
+   * @returns {Promise<Object|null>} Forecast data with an `hourly` array, or null
+   */
+  async fetchHourlyForecast(position) {
+    return this.fetchForecast(position);
+  }
+
+  /**
+   * Fetch active severe weather alerts for a position
+   * Providers without alert support return null
+   * @param {Object} _position Position object with latitude/longitude
+   * @returns {Promise<Object|null>} Alert data ({ alerts, timestamp }) or null
+   */
+  async fetchAlerts(_position) {
+    return null;
+  }
+
+  /**
+   * Get API call quota usage for providers with a daily call limit
+   * @returns {Object|null} Quota status ({ provider, used, limit, remaining, resetsAt }) or null
+   */
+  getQuotaStatus() {
+    return null;
+  }
+
+  /**
+   * Abort in-flight API requests, e.g. when the plugin stops
+   * Providers without network requests have nothing to cancel
+   */
+  cancel() {}
+
+  /**
+   * Get a recorded position to use when neither GPS nor a fixed location is available
+   * Only the replay provider has one
+   * @returns {Object|null} Position with latitude/longitude
+   */
+  getRecordedPosition() {
+    return null;
+  }
+
+  /**
+   * Get options for the provider's HTTP client
+   * @returns {Object} HTTP options ({ timeout in ms, retries, recorder, replay })
+   */
+  getHttpOptions() {
+    return {
+      timeout: (this.settings.requestTimeout ?? 15) * 1000,
+      retries: this.settings.requestRetries ?? 2,
+      recorder: this.settings.recorder || null,
+      replay: this.settings.replay || null,
+    };
+  }
+
+  /**
+   * Validate a position object before it is sent to a weather API
+   * @param {Object} position Position object with latitude/longitude
+   * @throws {Error} If the position is missing or not numeric
+   */
+  validatePosition(position) {
+    if (
+      !position ||
+      typeof position.latitude !== 'number' ||
+      typeof position.longitude !== 'number'
+    ) {
+      throw new Error('Invalid position provided for weather data');
+    }
+  }
+}
+
+module.exports = WeatherProvider;
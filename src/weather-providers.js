@@ -0,0 +1,52 @@
+/**
+ * Weather Provider Registry
+ * Maps the `weatherProvider` setting to a WeatherProvider implementation
+ */
+
+const AccuWeatherService = require('./accuweather-service');
+const AisStationService = require('./ais-station-service');
+const NwsService = require('./nws-service');
+const OpenMeteoService = require('./open-meteo-service');
+const ReplayService = require('./replay-service');
+
+const PROVIDERS = {
+  accuweather: AccuWeatherService,
+  'open-meteo': OpenMeteoService,
+  nws: NwsService,
+  replay: ReplayService,
+  ais: AisStationService,
+};
+
+const DEFAULT_PROVIDER = 'accuweather';
+
+/**
+ * Create the weather provider selected in settings
+ * @param {string} providerId Provider identifier (e.g. 'accuweather', 'open-meteo', 'nws')
+ * @param {Object} settings Plugin settings passed to the provider
+ * @param {Function} debug Debug logger
+ * @returns {WeatherProvider} Provider instance
+ */
+function createWeatherProvider(providerId, settings, debug) {
+  const id = providerId || DEFAULT_PROVIDER;
+  const Provider = PROVIDERS[id];
+
+  if (!Provider) {
+    throw new Error(`Unknown weather provider: ${id}`);
+  }
+
+  return new Provider(settings, debug);
+}
+
+/**
+ * Get the identifiers of all registered providers
+ * @returns {Array<string>} Provider identifiers
+ */
+function getProviderIds() {
+  return Object.keys(PROVIDERS);
+}
+
+module.exports = {
+  DEFAULT_PROVIDER,
+  createWeatherProvider,
+  getProviderIds,
+};
@@ -0,0 +1,51 @@
+const fs = require('node:fs');
+const path = require('node:path');
+
+/**
+ * Weather Response Recorder
+ * Appends every raw weather API response, with the time and the position it was
+ * requested for, to a JSON Lines fixture file. One file is written per session
+ * and can be served again by the replay provider without network access.
+ */
+class WeatherRecorder {
+  /**
+   * @param {Object} options Recorder options
+   * @param {string} options.directory Fixture directory
+   * @param {Function} debug Debug logger
+   */
+  constructor(options, debug) {
+    this.directory = options.directory;
+    this.debug = debug || (() => {});
+    this.filePath = path.join(
+      this.directory,
+      `${new Date().toISOString().replace(/[:.]/g, '-')}.jsonl`
+    );
+    this.pendingWrite = Promise.resolve();
+  }
+
+  /**
+   * Record a raw API response
+   * @param {string} provider API name (e.g. 'AccuWeather')
+   * @param {string} url Request URL with secrets removed
+   * @param {*} body Parsed JSON response body
+   * @param {Object} [position] Position the request was made for
+   * @returns {Promise<void>} Resolves once the entry has been written
+   */
+  record(provider, url, body, position) {
+    const entry = {
+      timestamp: new Date().toISOString(),
+      provider,
+      url,
+      position: position ? { latitude: position.latitude, longitude: position.longitude } : null,
+      body,
+    };
+
+    this.pendingWrite = this.pendingWrite
+      .then(() => fs.promises.mkdir(this.directory, { recursive: true }))
+      .then(() => fs.promises.appendFile(this.filePath, `${JSON.stringify(entry)}\n`))
+      .catch((error) => this.debug('Error recording weather response:', error));
+    return this.pendingWrite;
+  }
+}
+
+module.exports = WeatherRecorder;
@@ -0,0 +1,150 @@
+const fs = require('node:fs');
+const path = require('node:path');
+
+/**
+ * Weather Response Replay
+ * Serves raw API responses recorded by WeatherRecorder in place of the network.
+ * A replay clock runs through the recording at a configurable speed and loops at
+ * the end; each request gets the latest recorded response for its endpoint.
+ */
+class WeatherReplay {
+  /**
+   * @param {Object} options Replay options
+   * @param {string} options.directory Fixture directory with *.jsonl recordings
+   * @param {number} [options.speed] Replay speed, 1 = real time (default: 1)
+   * @param {Function} debug Debug logger
+   */
+  constructor(options, debug) {
+    this.directory = options.directory;
+    this.speed = options.speed > 0 ? options.speed : 1;
+    this.debug = debug || (() => {});
+    this.entries = this.load();
+    this.startedAt = Date.now();
+
+    if (this.entries.length === 0) {
+      throw new Error(`No recorded weather responses found in ${this.directory}`);
+    }
+
+    this.start = this.entries[0].time;
+    this.duration = this.entries[this.entries.length - 1].time - this.start;
+    this.debug(
+      `Replaying ${this.entries.length} recorded responses covering ${Math.round(this.duration / 60000)} minutes at ${this.speed}x`
+    );
+  }
+
+  /**
+   * Read all recordings in the fixture directory in time order
+   * @returns {Array<Object>} Recorded entries with a parsed `time` and `endpoint`
+   */
+  load() {
+    let files = [];
+    try {
+      files = fs
+        .readdirSync(this.directory)
+        .filter((file) => file.endsWith('.jsonl'))
+        .sort();
+    } catch (error) {
+      throw new Error(`Cannot read fixture directory ${this.directory}: ${error.message}`);
+    }
+
+    const entries = [];
+    for (const file of files) {
+      const lines = fs.readFileSync(path.join(this.directory, file), 'utf8').split('\n');
+      for (const line of lines) {
+        if (!line.trim()) {
+          continue;
+        }
+        try {
+          const entry = JSON.parse(line);
+          const time = Date.parse(entry.timestamp);
+          if (Number.isFinite(time) && entry.provider && entry.url) {
+            entries.push({ ...entry, time, endpoint: this.getEndpoint(entry.url) });
+          }
+        } catch {
+          this.debug(`Skipping malformed line in recording ${file}`);
+        }
+      }
+    }
+
+    return entries.sort((a, b) => a.time - b.time);
+  }
+
+  /**
+   * Get the recording time the replay clock is at; loops at the end of the recording
+   * @param {number} [now] Current time in ms
+   * @returns {number} Recording time in ms
+   */
+  getReplayTime(now = Date.now()) {
+    const elapsed = (now - this.startedAt) * this.speed;
+    return this.start + (this.duration > 0 ? elapsed % (this.duration + 1) : 0);
+  }
+
+  /**
+   * Get the recorded response for a request at the current replay time
+   * @param {string} provider API name (e.g. 'AccuWeather')
+   * @param {string} url Request URL
+   * @returns {Promise<*>} Copy of the recorded response body
+   * @throws {Error} When the endpoint was never recorded
+   */
+  async getJson(provider, url) {
+    const endpoint = this.getEndpoint(url);
+    const matches = this.entries.filter(
+      (entry) => entry.provider === provider && entry.endpoint === endpoint
+    );
+
+    if (matches.length === 0) {
+      throw new Error(`No recorded ${provider} response for ${endpoint}`);
+    }
+
+    // Latest response at the replay time, or the first one before it was recorded
+    const replayTime = this.getReplayTime();
+    const match = matches.findLast((entry) => entry.time <= replayTime) || matches[0];
+    return structuredClone(match.body);
+  }
+
+  /**
+   * Get the position the recording was made at for the current replay time
+   * @returns {Object|null} Position with latitude/longitude
+   */
+  getPosition() {
+    const replayTime = this.getReplayTime();
+    const entry = this.entries.findLast((item) => item.time <= replayTime && item.position);
+    return entry?.position || this.entries.find((item) => item.position)?.position || null;
+  }
+
+  /**
+   * Get the providers that appear in the recording, most frequent first
+   * @returns {Array<string>} API names
+   */
+  getProviders() {
+    const counts = new Map();
+    for (const entry of this.entries) {
+      counts.set(entry.provider, (counts.get(entry.provider) || 0) + 1);
+    }
+    return [...counts.keys()].sort((a, b) => counts.get(b) - counts.get(a));
+  }
+
+  /**
+   * Reduce a URL to the endpoint it calls, without position, location keys and secrets,
+   * so a replay at another position still finds the recorded responses
+   * @param {string} url Request URL
+   * @returns {string} Endpoint, e.g. '/currentconditions/v1/{id}?details=true'
+   */
+  getEndpoint(url) {
+    const parsed = new URL(url);
+    const pathname = parsed.pathname
+      .replace(/-?\d+(\.\d+)?,-?\d+(\.\d+)?/g, '{position}')
+      .replace(/\/\d+(?=\/|$)/g, '/{id}');
+
+    const ignored = new Set(['apikey', 'q', 'latitude', 'longitude']);
+    const query = [...parsed.searchParams]
+      .filter(([key]) => !ignored.has(key.toLowerCase()))
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([key, value]) => `${key}=${value}`)
+      .join('&');
+
+    return `${pathname}${query ? `?${query}` : ''}`;
+  }
+}
+
+module.exports = WeatherReplay;
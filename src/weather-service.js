@@ -1,11 +1,29 @@
+// How often the fetch schedule is checked against vessel motion
+const SCHEDULE_CHECK_INTERVAL = 30 * 1000;
+
 class WeatherService {
   constructor(app, settings, debug) {
     this.app = app;
     this.settings = settings;
     this.debug = debug;
     this.updateTimer = null;
+    this.fetchScheduler = null;
+    this.forecastTimer = null;
+    this.alertTimer = null;
+    this.routeTimer = null;
+    this.locationTimer = null;
+    this.pressureTimer = null;
     this.currentWeatherData = {};
+    this.forecastData = null;
+    this.alertData = null;
+    this.routeForecast = null;
     this.lastUpdate = null;
+    this.lastError = null;
+    this.stopped = false;
+    this.nextUpdateAt = null;
+    this.lastProviderPressureTimestamp = null;
+    this.locationUpdateInProgress = false;
+    this.pendingUpdate = null;
 
     // Debug: Log the actual settings received by WeatherService
     this.debug('WeatherService received settings:', JSON.stringify(settings, null, 2));
@@ -14,135 +32,536 @@ class WeatherService {
     const SignalKClient = require('./signalk-client');
     this.signalkClient = new SignalKClient(app, debug);
 
-    // Initialize AccuWeather service for API calls
-    const AccuWeatherService = require('./accuweather-service');
-    this.accuWeatherService = new AccuWeatherService(settings, debug);
+    // Initialize the configured weather providers in priority order
+    const { createWeatherProvider } = require('./weather-providers');
+    const ProviderAggregator = require('./provider-aggregator');
+    const providerList =
+      Array.isArray(settings.providers) && settings.providers.length > 0
+        ? settings.providers
+        : [{ provider: settings.weatherProvider, weight: 1 }];
+    // Providers persist state such as API quotas in the plugin data directory
+    const path = require('node:path');
+    const dataDir = typeof app.getDataDirPath === 'function' ? app.getDataDirPath() : null;
+    const fixtureDirectory =
+      settings.fixtureDirectory || (dataDir ? path.join(dataDir, 'recordings') : null);
+
+    // Raw API responses can be recorded to the fixture directory for the replay provider
+    this.recorder = null;
+    if (settings.recordResponses && fixtureDirectory) {
+      const WeatherRecorder = require('./weather-recorder');
+      this.recorder = new WeatherRecorder({ directory: fixtureDirectory }, debug);
+      this.debug('Recording weather API responses to', this.recorder.filePath);
+    }
+
+    // AIS weather stations are read through the SignalK client
+    const providerSettings = {
+      ...settings,
+      dataDir,
+      fixtureDirectory,
+      recorder: this.recorder,
+      signalkClient: this.signalkClient,
+    };
+    this.providerAggregator = new ProviderAggregator(
+      providerList.map((entry) => ({
+        provider: createWeatherProvider(entry.provider, providerSettings, debug),
+        weight: entry.weight ?? 1,
+      })),
+      settings.aggregationMode,
+      debug
+    );
+    // Weather API lookups for arbitrary positions use the same providers with their own health,
+    // so a failure far from the vessel does not reorder the vessel's failover
+    this.lookupAggregator = new ProviderAggregator(
+      this.providerAggregator.entries,
+      settings.aggregationMode,
+      debug
+    );
 
     // Initialize wind calculator for proper vector calculations
     const WindCalculator = require('./wind-calculator');
     this.windCalculator = new WindCalculator(debug);
+
+    // Rolling pressure history for tendency and offline forecasting
+    const PressureHistory = require('./pressure-history');
+    this.pressureHistory = new PressureHistory({}, debug);
+
+    // Last observation kept on disk so a restart starts with real data
+    const JsonStateFile = require('./json-state-file');
+    this.observationFile = new JsonStateFile(
+      {
+        name: 'last observation',
+        filePath: dataDir ? path.join(dataDir, 'last-observation.json') : null,
+      },
+      debug
+    );
+
+    // Forecasts for the upcoming waypoints of the active route at their ETAs
+    const RouteForecaster = require('./route-forecast');
+    this.routeForecaster = new RouteForecaster(
+      {
+        maxWaypoints: settings.routeMaxWaypoints,
+        windLimit: settings.routeWindLimit,
+        gustLimit: settings.routeGustLimit,
+      },
+      debug
+    );
+
+    // Named fixed locations with their own schedule, published as meteo.<id> contexts
+    const FixedLocations = require('./fixed-locations');
+    this.fixedLocations = new FixedLocations(settings.locations, debug);
+
+    // Persistent observation history in the plugin data directory
+    this.historyStore = null;
+    if (settings.historyRetentionDays > 0 && typeof app.getDataDirPath === 'function') {
+      const HistoryStore = require('./history-store');
+      this.historyStore = new HistoryStore(
+        app.getDataDirPath(),
+        { retentionDays: settings.historyRetentionDays },
+        debug
+      );
+    }
   }
 
   start() {
     this.debug('WeatherService starting');
 
-    // Start periodic weather updates based on configured frequency
-    const updateInterval = (this.settings.updateFrequency || 5) * 60 * 1000; // Convert minutes to milliseconds
-
-    // Set up periodic updates for AccuWeather data
+    // Schedule weather updates by vessel motion: faster underway, backed off at anchor
+    const FetchScheduler = require('./fetch-scheduler');
+    this.fetchScheduler = new FetchScheduler(
+      {
+        updateInterval: (this.settings.updateFrequency || 5) * 60 * 1000,
+        minInterval: (this.settings.minUpdateInterval ?? 2) * 60 * 1000,
+        maxInterval: (this.settings.maxUpdateInterval ?? 60) * 60 * 1000,
+        refetchDistance: this.settings.refetchDistance ?? 5,
+      },
+      this.debug
+    );
+    this.restoreLastObservation();
     this.updateTimer = setInterval(() => {
-      this.updateWeatherData();
-    }, updateInterval);
+      this.checkFetchSchedule();
+    }, SCHEDULE_CHECK_INTERVAL);
+
+    this.debug(
+      'WeatherService started with update interval:',
+      this.fetchScheduler.updateInterval / 1000,
+      'seconds'
+    );
+
+    if (this.settings.enableForecasts) {
+      // Forecasts change slowly, so poll them separately to save API calls
+      const forecastInterval = (this.settings.forecastFrequency || 60) * 60 * 1000;
+      this.forecastTimer = setInterval(() => {
+        this.updateForecastData();
+      }, forecastInterval);
+
+      this.debug('Forecast updates enabled with interval:', forecastInterval / 1000, 'seconds');
+    }
+
+    // Sample pressure every minute so an onboard barometer builds history between fetches
+    this.pressureTimer = setInterval(() => {
+      this.samplePressure();
+    }, 60 * 1000);
+
+    if (this.settings.enableAlerts) {
+      const alertInterval = (this.settings.alertFrequency || 15) * 60 * 1000;
+      this.alertTimer = setInterval(() => {
+        this.updateAlertData();
+      }, alertInterval);
 
-    this.debug('WeatherService started with update interval:', updateInterval / 1000, 'seconds');
+      this.debug('Alert polling enabled with interval:', alertInterval / 1000, 'seconds');
+    }
+
+    if (this.settings.enableRouteForecast) {
+      // Every waypoint costs a forecast request, so route forecasts have their own interval
+      const routeInterval = (this.settings.routeForecastFrequency || 30) * 60 * 1000;
+      this.routeTimer = setInterval(() => {
+        this.updateRouteForecast();
+      }, routeInterval);
+
+      this.debug('Route forecasts enabled with interval:', routeInterval / 1000, 'seconds');
+    }
+
+    if (this.fixedLocations.size > 0) {
+      this.locationTimer = setInterval(() => {
+        this.checkLocationSchedule();
+      }, SCHEDULE_CHECK_INTERVAL);
+
+      this.debug('Weather enabled for', this.fixedLocations.size, 'fixed locations');
+    }
   }
 
   stop() {
     this.debug('WeatherService stopping');
+    this.stopped = true;
 
     if (this.updateTimer) {
       clearInterval(this.updateTimer);
       this.updateTimer = null;
     }
 
+    if (this.forecastTimer) {
+      clearInterval(this.forecastTimer);
+      this.forecastTimer = null;
+    }
+
+    if (this.alertTimer) {
+      clearInterval(this.alertTimer);
+      this.alertTimer = null;
+    }
+
+    if (this.routeTimer) {
+      clearInterval(this.routeTimer);
+      this.routeTimer = null;
+    }
+
+    if (this.locationTimer) {
+      clearInterval(this.locationTimer);
+      this.locationTimer = null;
+    }
+
+    if (this.pressureTimer) {
+      clearInterval(this.pressureTimer);
+      this.pressureTimer = null;
+    }
+
+    // Abort in-flight API requests so nothing is published after the plugin stops
+    this.providerAggregator.cancel();
+
     this.currentWeatherData = {};
+    this.forecastData = null;
+    this.routeForecast = null;
     this.lastUpdate = null;
 
     this.debug('WeatherService stopped');
   }
 
+  /**
+   * Fetch new weather data when the schedule says one is due
+   */
+  checkFetchSchedule() {
+    // Without speed data (e.g. at a fixed location) keep the regular interval
+    const moving =
+      this.signalkClient.getVesselSpeedOverGround() === null || this.signalkClient.isVesselMoving();
+    const reason = this.fetchScheduler.shouldFetch({ position: this.getPosition(), moving });
+
+    this.nextUpdateAt = this.fetchScheduler.getNextFetchTime();
+    if (reason) {
+      this.debug(`Scheduled weather fetch (${reason})`);
+      this.updateWeatherData();
+    }
+  }
+
+  /**
+   * Warm start from the observation saved before the last restart
+   * Observations older than maxDataAge are ignored; a fresh one also counts as the last fetch,
+   * so the schedule does not spend an API call on data that is still current
+   */
+  restoreLastObservation() {
+    const saved = this.observationFile.load();
+    const observedAt = Date.parse(saved?.weatherData?.timestamp);
+    if (!Number.isFinite(observedAt)) {
+      return;
+    }
+
+    const maxAge = (this.settings.maxDataAge ?? 30) * 60 * 1000;
+    if (Date.now() - observedAt > maxAge) {
+      this.debug('Saved observation is too old for a warm start');
+      return;
+    }
+
+    const savedAt = Date.parse(saved.savedAt);
+    this.currentWeatherData = saved.weatherData;
+    this.lastUpdate = new Date(Number.isFinite(savedAt) ? savedAt : observedAt);
+    this.fetchScheduler.recordFetch(saved.position || null, this.lastUpdate.getTime());
+    this.nextUpdateAt = this.fetchScheduler.getNextFetchTime();
+    this.debug(
+      `Warm start with ${saved.weatherData.source} observation from ${saved.weatherData.timestamp}`
+    );
+  }
+
   getCurrentWeatherData() {
     return this.currentWeatherData;
   }
 
-  async updateWeatherData() {
+  /**
+   * Get the most recent forecast
+   * @returns {Object|null} Forecast data with `hourly` and `daily` arrays
+   */
+  getForecastData() {
+    return this.forecastData;
+  }
+
+  async updateForecastData() {
+    this.debug('Updating forecast data...');
+
+    try {
+      const position = this.getPosition();
+      if (!position) {
+        this.debug('No position available for forecast data');
+        return;
+      }
+
+      const forecast = await this.providerAggregator.fetchForecast(position);
+      if (forecast) {
+        this.forecastData = forecast;
+        this.debug('Forecast data updated successfully');
+      } else {
+        this.debug('No configured provider supplies forecasts');
+      }
+    } catch (error) {
+      this.debug('Error updating forecast data:', error);
+      // Keep last known forecast on error
+      this.reportError('Forecast update failed', error);
+    }
+  }
+
+  /**
+   * Get the most recent severe weather alerts
+   * @returns {Object|null} Alert data with an `alerts` array
+   */
+  getAlertData() {
+    return this.alertData;
+  }
+
+  async updateAlertData() {
+    this.debug('Updating weather alerts...');
+
+    try {
+      const position = this.getPosition();
+      if (!position) {
+        this.debug('No position available for weather alerts');
+        return;
+      }
+
+      const alertData = await this.providerAggregator.fetchAlerts(position);
+      if (alertData) {
+        this.alertData = alertData;
+        this.debug('Weather alerts updated:', alertData.alerts.length, 'active');
+      } else {
+        this.debug('No configured provider supplies weather alerts');
+      }
+    } catch (error) {
+      this.debug('Error updating weather alerts:', error);
+      // Keep last known alerts on error - expired ones are cleared by end time
+      this.reportError('Alert update failed', error);
+    }
+  }
+
+  /**
+   * Get the forecast for the upcoming waypoints of the active route
+   * @returns {Object|null} Route forecast ({ waypoints, timestamp, source })
+   */
+  getRouteForecast() {
+    return this.routeForecast;
+  }
+
+  /**
+   * Fetch forecast conditions at each upcoming waypoint for its ETA
+   * An empty waypoint list is kept while no route or destination is active
+   */
+  async updateRouteForecast() {
+    this.debug('Updating route forecast...');
+
+    try {
+      const position = this.getPosition();
+      if (!position) {
+        this.debug('No position available for route forecast');
+        return;
+      }
+
+      const waypoints = await this.signalkClient.getUpcomingWaypoints();
+      const arrivals = this.routeForecaster.planArrivals(
+        position,
+        waypoints,
+        this.signalkClient.getVesselSpeedOverGround()
+      );
+
+      // One hourly forecast per waypoint, in sequence to stay within provider rate limits;
+      // waypoints the quota pacing defers keep a null forecast until a later update
+      const forecasts = [];
+      let source = null;
+      let lastError = null;
+      for (const arrival of arrivals) {
+        let forecast = null;
+        if (this.routeForecaster.isWithinHorizon(arrival) && !this.stopped) {
+          try {
+            const data = await this.providerAggregator.fetchHourlyForecast(arrival.position);
+            if (!data) {
+              throw new Error('No configured provider supplies forecasts');
+            }
+            source = data.source;
+            forecast = this.routeForecaster.selectForecast(data, arrival.eta);
+          } catch (error) {
+            this.debug(`No forecast for waypoint ${arrival.name}:`, error.message);
+            lastError = error;
+          }
+        }
+        forecasts.push({ ...arrival, forecast });
+      }
+
+      if (lastError && source === null) {
+        throw lastError;
+      }
+
+      this.routeForecast = {
+        waypoints: this.routeForecaster.checkLimits(forecasts),
+        timestamp: new Date().toISOString(),
+        source,
+      };
+      this.debug('Route forecast updated:', forecasts.length, 'waypoints');
+    } catch (error) {
+      this.debug('Error updating route forecast:', error);
+      // Keep the last route forecast on error
+      this.reportError('Route forecast failed', error);
+    }
+  }
+
+  /**
+   * Get the latest observation of each fixed location
+   * @returns {Array<Object>} Entries ({ location: { id, name, position }, weatherData, lastUpdate })
+   */
+  getLocationWeather() {
+    return this.fixedLocations.getWeather();
+  }
+
+  /**
+   * Fetch weather for the fixed locations that are due, one at a time
+   * A check is skipped while the previous one is still fetching
+   */
+  async checkLocationSchedule() {
+    if (this.locationUpdateInProgress) {
+      return;
+    }
+
+    this.locationUpdateInProgress = true;
+    try {
+      for (const location of this.fixedLocations.getDue()) {
+        if (this.stopped) {
+          break;
+        }
+        await this.updateLocationWeather(location);
+      }
+    } finally {
+      this.locationUpdateInProgress = false;
+    }
+  }
+
+  /**
+   * Fetch current conditions at a fixed location
+   * @param {Object} location Location ({ id, name, position })
+   */
+  async updateLocationWeather(location) {
+    this.debug(`Updating weather for ${location.name}...`);
+    this.fixedLocations.recordFetch(location.id);
+
+    try {
+      const weatherData = await this.providerAggregator.fetchCurrentWeather(location.position);
+      if (!weatherData) {
+        this.debug(`No weather data received for ${location.name}`);
+        return;
+      }
+
+      // No vessel at a fixed location, so only the comfort values are derived
+      this.fixedLocations.setWeather(location.id, {
+        ...weatherData,
+        ...this.calculateComfortValues(weatherData),
+      });
+      this.debug(`Weather for ${location.name} updated from ${weatherData.source}`);
+    } catch (error) {
+      this.debug(`Error updating weather for ${location.name}:`, error);
+      this.reportError(`Weather update for ${location.name} failed`, error);
+    }
+  }
+
+  /**
+   * Update the vessel's current conditions
+   * A call while an update is running joins it instead of fetching again, so the schedule
+   * and the refresh endpoint never overlap
+   * @returns {Promise<void>} Resolves once the running update has finished
+   */
+  updateWeatherData() {
+    if (!this.pendingUpdate) {
+      this.pendingUpdate = this.fetchWeatherData().finally(() => {
+        this.pendingUpdate = null;
+      });
+    }
+    return this.pendingUpdate;
+  }
+
+  /**
+   * Fetch current conditions at the vessel position and derive the wind and comfort values
+   */
+  async fetchWeatherData() {
     this.debug('Updating weather data...');
 
     try {
-      // Get vessel position or use manual coordinates
+      // Get vessel position or fall back to the first fixed location
       const position = this.getPosition();
       if (!position) {
         this.debug('No position available for weather data');
         return;
       }
 
-      // Get weather data from AccuWeather
-      const weatherData = await this.accuWeatherService.fetchCurrentWeather(position);
+      if (this.fetchScheduler) {
+        this.fetchScheduler.recordFetch(position);
+        this.nextUpdateAt = this.fetchScheduler.getNextFetchTime();
+      }
+
+      // Get weather data from the configured providers
+      const weatherData = await this.providerAggregator.fetchCurrentWeather(position);
 
       if (weatherData) {
         // Get vessel data for wind calculations
         const vesselData = this.getVesselData();
 
-        // Calculate enhanced weather values using proper wind calculator
-        // Only calculate apparent wind if we have complete vessel data
-        let apparentWindSpeed = null;
-        let apparentWindAngle = null;
-
-        if (vesselData.isComplete) {
-          this.debug('Calculating apparent wind with complete vessel data:', {
-            windSpeed: weatherData.windSpeed,
-            vesselSpeed: vesselData.speedOverGround,
-            vesselCourse: vesselData.courseOverGround,
-            windDirection: weatherData.windDirection,
-          });
-
-          apparentWindSpeed = this.windCalculator.calculateApparentWindSpeed(
-            weatherData.windSpeed,
-            vesselData.speedOverGround,
-            vesselData.courseOverGround,
-            weatherData.windDirection
-          );
-
-          apparentWindAngle = this.windCalculator.calculateApparentWindAngle(
-            weatherData.windSpeed,
-            vesselData.speedOverGround,
-            vesselData.courseOverGround,
-            weatherData.windDirection
-          );
-
-          this.debug(
-            `Apparent wind calculated: speed=${apparentWindSpeed} m/s, angle=${apparentWindAngle} rad (${((apparentWindAngle * 180) / Math.PI).toFixed(0)}°)`
-          );
-        } else {
-          this.debug('Cannot calculate apparent wind - vessel data incomplete:', {
-            hasPosition: !!vesselData.position,
-            hasSpeed: typeof vesselData.speedOverGround === 'number',
-            hasCourse: typeof vesselData.courseOverGround === 'number',
-            vesselDataAge: vesselData.dataAge,
-          });
-
-          // Use true wind values as fallback
-          apparentWindSpeed = weatherData.windSpeed;
-          apparentWindAngle = 0; // Relative to bow when no vessel course available
-          this.debug('Using fallback: apparent wind speed = true wind speed, angle = 0');
-        }
-
-        const windChill = this.windCalculator.calculateWindChill(
-          weatherData.temperature,
-          weatherData.windSpeed
+        // Solve the wind triangle; values needing missing vessel data stay null
+        const windTriangle = this.windCalculator.calculateWindTriangle(
+          { speed: weatherData.windSpeed, direction: weatherData.windDirection },
+          vesselData
         );
 
-        const heatIndex = this.windCalculator.calculateHeatIndex(
-          weatherData.temperature,
-          weatherData.humidity
-        );
+        this.debug('Wind triangle calculated:', {
+          vesselSpeed: vesselData.speedOverGround,
+          vesselCourse: vesselData.courseOverGroundTrue,
+          vesselHeading: vesselData.headingTrue,
+          speedThroughWater: vesselData.speedThroughWater,
+          ...windTriangle,
+        });
 
-        const dewPoint = this.windCalculator.calculateDewPoint(
-          weatherData.temperature,
-          weatherData.humidity
-        );
+        // Magnetic variation for magnetic wind direction (fixed location when no GPS)
+        const magneticVariation = this.signalkClient.getMagneticVariation(position);
 
         // Enhance weather data with calculated values
         this.currentWeatherData = {
           ...weatherData,
-          apparentWindSpeed,
-          apparentWindAngle,
-          windChill,
-          heatIndex,
-          dewPoint,
+          ...windTriangle,
+          magneticVariation: magneticVariation ? magneticVariation.value : null,
+          ...this.calculateComfortValues(weatherData),
         };
 
         this.lastUpdate = new Date();
+        this.observationFile.save({
+          savedAt: this.lastUpdate.toISOString(),
+          position: { latitude: position.latitude, longitude: position.longitude },
+          weatherData: this.currentWeatherData,
+        });
+        this.samplePressure();
+        if (this.historyStore) {
+          await this.historyStore.append(this.currentWeatherData, vesselData.position || position);
+        }
+        const quotas = this.getQuotaStatus();
+        if (this.lastError || quotas.length > 0) {
+          const status = this.lastError ? 'restored' : 'updated';
+          this.lastError = null;
+          this.app.setPluginStatus(
+            [
+              `Weather data ${status} from ${weatherData.source}`,
+              ...quotas.map(
+                (quota) => `${quota.provider} ${quota.remaining}/${quota.limit} calls left today`
+              ),
+            ].join(' - ')
+          );
+        }
         this.debug('Weather data updated successfully');
       } else {
         this.debug('No weather data received from APIs');
@@ -150,8 +569,181 @@ class WeatherService {
       }
     } catch (error) {
       this.debug('Error updating weather data:', error);
-      // Keep last known data on error
+      // Keep last known data on error, but make the outage visible
+      this.reportError('Weather update failed', error);
+    }
+  }
+
+  /**
+   * Derive wind chill, heat index, dew point and apparent temperature from an observation
+   * @param {Object} weatherData Normalized weather data
+   * @returns {Object} Derived values ({ windChill, heatIndex, apparentTemperature, dewPoint })
+   */
+  calculateComfortValues(weatherData) {
+    const windChill = this.windCalculator.calculateWindChill(
+      weatherData.temperature,
+      weatherData.windSpeed
+    );
+
+    const heatIndex = this.windCalculator.calculateHeatIndex(
+      weatherData.temperature,
+      weatherData.humidity
+    );
+
+    // Without humidity keep the reported dew point - AIS stations often have no hygrometer
+    const dewPoint =
+      typeof weatherData.humidity === 'number'
+        ? this.windCalculator.calculateDewPoint(weatherData.temperature, weatherData.humidity)
+        : (weatherData.dewPoint ?? null);
+
+    const apparentTemperature = this.windCalculator.calculateApparentTemperature(
+      weatherData.temperature,
+      windChill,
+      heatIndex
+    );
+
+    return { windChill, heatIndex, apparentTemperature, dewPoint };
+  }
+
+  /**
+   * Surface an update failure through the plugin status; cleared by the next successful update
+   * Failures caused by cancelling requests on stop are not reported
+   * @param {string} context What failed, e.g. 'Weather update failed'
+   * @param {Error} error Failure
+   */
+  reportError(context, error) {
+    if (this.stopped) {
+      return;
     }
+    this.lastError = error.message;
+    this.app.setPluginError(`${context}: ${error.message}`);
+  }
+
+  /**
+   * Record a pressure sample, preferring a live onboard barometer over provider data
+   * Provider pressure is only recorded once per observation
+   */
+  samplePressure() {
+    const onboard = this.signalkClient.getExternalSensorValue('environment.outside.pressure', 120);
+    if (onboard) {
+      this.pressureHistory.addSample(onboard.value, 'onboard');
+      return;
+    }
+
+    const { pressure, timestamp, source } = this.currentWeatherData;
+    if (typeof pressure !== 'number' || timestamp === this.lastProviderPressureTimestamp) {
+      return;
+    }
+
+    const time = Date.parse(timestamp);
+    if (
+      this.pressureHistory.addSample(pressure, source, Number.isFinite(time) ? time : Date.now())
+    ) {
+      this.lastProviderPressureTimestamp = timestamp;
+    }
+  }
+
+  /**
+   * Get pressure tendencies, the offline Zambretti forecast and storm warning state
+   * @returns {Object} Pressure analysis (rates in Pa/s)
+   */
+  getPressureAnalysis() {
+    const { classifyTendency, zambrettiForecast } = require('./zambretti');
+
+    const pressureRateOfChange1h = this.pressureHistory.getRateOfChange(60 * 60 * 1000);
+    const pressureRateOfChange3h = this.pressureHistory.getRateOfChange(3 * 60 * 60 * 1000);
+
+    const samples = this.pressureHistory.getSamples();
+    const latestPressure = samples.length > 0 ? samples[samples.length - 1].pressure : null;
+    const tendency = classifyTendency(pressureRateOfChange3h ?? pressureRateOfChange1h);
+
+    const position = this.getPosition();
+    const forecast = zambrettiForecast({
+      pressure: latestPressure,
+      tendency,
+      windDirection: this.currentWeatherData.windDirection,
+      latitude: position?.latitude,
+    });
+
+    // Storm thresholds are configured as a pressure drop in hPa over 3 hours
+    const rate = pressureRateOfChange3h ?? pressureRateOfChange1h;
+    const drop3hHpa = typeof rate === 'number' ? (-rate * 3 * 3600) / 100 : null;
+    let pressureDropState = 'normal';
+    if (drop3hHpa !== null && drop3hHpa >= (this.settings.pressureDropAlarm ?? 6)) {
+      pressureDropState = 'alarm';
+    } else if (drop3hHpa !== null && drop3hHpa >= (this.settings.pressureDropWarning ?? 4)) {
+      pressureDropState = 'warn';
+    }
+
+    return {
+      pressureRateOfChange1h,
+      pressureRateOfChange3h,
+      localForecast: forecast ? forecast.text : null,
+      localForecastCode: forecast ? forecast.letter : null,
+      pressureDrop3h: drop3hHpa,
+      pressureDropState,
+    };
+  }
+
+  /**
+   * Query the stored time series of a weather field
+   * @param {string} field Weather data field (e.g. 'pressure')
+   * @param {Date} from Range start
+   * @param {Date} to Range end
+   * @param {number} [interval] Downsampling bucket size in seconds
+   * @returns {Promise<Array<Object>>} Samples ({ timestamp, value, position })
+   */
+  async queryHistory(field, from, to, interval) {
+    if (!this.historyStore) {
+      throw new Error('Weather history is disabled');
+    }
+    return this.historyStore.query(field, from, to, interval);
+  }
+
+  /**
+   * Get plugin status for diagnostics
+   * @returns {Object} Provider health, last error, fetch schedule and vessel data completeness
+   */
+  getStatus() {
+    const vesselData = this.getVesselData();
+
+    return {
+      providers: this.getProviderHealth(),
+      aggregationMode: this.providerAggregator.mode,
+      lastUpdate: this.lastUpdate ? this.lastUpdate.toISOString() : null,
+      lastError: this.lastError,
+      nextScheduledFetch: this.nextUpdateAt ? new Date(this.nextUpdateAt).toISOString() : null,
+      fetchMode: this.fetchScheduler?.moving === false ? 'moored' : 'underway',
+      quotas: this.getQuotaStatus(),
+      locations: this.fixedLocations.getStatus(),
+      vesselData: {
+        hasPosition: !!vesselData.position,
+        hasSpeed: typeof vesselData.speedOverGround === 'number',
+        hasCourse: typeof vesselData.courseOverGroundTrue === 'number',
+        hasHeading: typeof vesselData.headingTrue === 'number',
+        hasSpeedThroughWater: typeof vesselData.speedThroughWater === 'number',
+        isComplete: vesselData.isComplete,
+        dataAge: vesselData.dataAge,
+      },
+    };
+  }
+
+  /**
+   * Get daily API call quota usage of the providers that have one
+   * @returns {Array<Object>} Quota status records ({ provider, used, limit, remaining, resetsAt })
+   */
+  getQuotaStatus() {
+    return this.providerAggregator.entries
+      .map(({ provider }) => provider.getQuotaStatus())
+      .filter(Boolean);
+  }
+
+  /**
+   * Get health of the configured weather providers
+   * @returns {Array<Object>} Provider health records in priority order
+   */
+  getProviderHealth() {
+    return this.providerAggregator.getHealth();
   }
 
   getPosition() {
@@ -166,53 +758,37 @@ class WeatherService {
       }
     }
 
-    // Use manual coordinates
-    if (this.settings.manualLatitude && this.settings.manualLongitude) {
-      return {
-        latitude: this.settings.manualLatitude,
-        longitude: this.settings.manualLongitude,
-      };
+    // Use the first fixed location
+    const fallback = this.fixedLocations.getFirst();
+    if (fallback) {
+      return { ...fallback.position };
     }
 
-    return null;
-  }
-
-  // Mock weather data for testing plugin structure
-  getMockWeatherData() {
-    const vesselData = this.getVesselData();
-
-    return {
-      temperature: 288.15, // 15°C in Kelvin
-      pressure: 101325, // Standard sea level pressure in Pascals
-      humidity: 0.65, // 65% as ratio
-      windSpeed: 5.14, // 10 knots in m/s
-      windDirection: 1.57, // 90 degrees in radians (East)
-      dewPoint: 283.15, // Calculated dew point in Kelvin
-      windChill: 287.5, // Wind chill temperature in Kelvin
-      heatIndex: 289.8, // Heat index in Kelvin
-      apparentWindSpeed: this.windCalculator.calculateApparentWindSpeed(
-        5.14,
-        vesselData.speedOverGround,
-        vesselData.courseOverGround,
-        1.57
-      ),
-      apparentWindAngle: this.windCalculator.calculateApparentWindAngle(
-        5.14,
-        vesselData.speedOverGround,
-        vesselData.courseOverGround,
-        1.57
-      ),
-      lastUpdated: new Date().toISOString(),
-    };
+    // A replayed recording supplies the position it was recorded at
+    return this.providerAggregator.getRecordedPosition();
   }
 
   getVesselData() {
     // Use SignalK client for proper data retrieval with source filtering
     const vesselData = this.signalkClient.getVesselData();
 
+    // Without a heading sensor the course is the best estimate of where the bow points,
+    // but only while making way - at rest the course over ground is noise
+    let headingTrue = vesselData.headingTrue;
+    if (
+      typeof headingTrue !== 'number' &&
+      typeof vesselData.courseOverGroundTrue === 'number' &&
+      vesselData.speedOverGround > 0.5
+    ) {
+      this.debug('No heading available, using course over ground as heading');
+      headingTrue = vesselData.courseOverGroundTrue;
+    }
+
     return {
-      speedOverGround: vesselData.speedOverGround || 0,
-      courseOverGround: vesselData.courseOverGroundTrue || 0,
+      speedOverGround: vesselData.speedOverGround,
+      courseOverGroundTrue: vesselData.courseOverGroundTrue,
+      headingTrue,
+      speedThroughWater: vesselData.speedThroughWater,
       position: vesselData.position,
       isComplete: vesselData.isComplete,
       dataAge: vesselData.dataAge,
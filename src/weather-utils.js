@@ -54,6 +54,21 @@ function convertAccuWeatherTemperature(tempData) {
   return celsiusToKelvin(tempData.Metric.Value);
 }
 
+/**
+ * Convert AccuWeather forecast temperature to Kelvin
+ * Forecast endpoints return a flat { Value, Unit } instead of Metric/Imperial blocks
+ * @param {Object} tempData AccuWeather forecast temperature data
+ * @returns {number|null} Temperature in Kelvin
+ */
+function convertAccuWeatherForecastTemperature(tempData) {
+  if (!tempData || typeof tempData.Value !== 'number') return null;
+
+  if (tempData.Unit === 'F') {
+    return fahrenheitToKelvin(tempData.Value);
+  }
+  return celsiusToKelvin(tempData.Value);
+}
+
 // === Pressure Conversions ===
 
 /**
@@ -139,6 +154,21 @@ function convertAccuWeatherWindSpeed(windSpeedData) {
   return kmhToMS(windSpeedData.Metric.Value);
 }
 
+/**
+ * Convert AccuWeather forecast wind speed to m/s
+ * Forecast endpoints return a flat { Value, Unit } instead of Metric/Imperial blocks
+ * @param {Object} speedData AccuWeather forecast wind speed data
+ * @returns {number|null} Wind speed in m/s
+ */
+function convertAccuWeatherForecastWindSpeed(speedData) {
+  if (!speedData || typeof speedData.Value !== 'number') return null;
+
+  if (speedData.Unit === 'mi/h') {
+    return speedData.Value * 0.44704;
+  }
+  return kmhToMS(speedData.Value);
+}
+
 // === Direction Conversions ===
 
 /**
@@ -173,6 +203,265 @@ function convertAccuWeatherWindDirection(windDirData) {
   return degreesToRadians(degrees);
 }
 
+// === Additional AccuWeather Conversions ===
+
+/**
+ * Convert AccuWeather visibility to meters
+ * @param {Object} visibilityData AccuWeather visibility data
+ * @returns {number|null} Visibility in meters
+ */
+function convertAccuWeatherVisibility(visibilityData) {
+  if (!visibilityData || typeof visibilityData.Metric?.Value !== 'number') return null;
+
+  // AccuWeather visibility is in kilometers, convert to meters
+  return visibilityData.Metric.Value * 1000;
+}
+
+/**
+ * Convert AccuWeather cloud ceiling to meters
+ * @param {Object} ceilingData AccuWeather ceiling data
+ * @returns {number|null} Cloud ceiling in meters
+ */
+function convertAccuWeatherCeiling(ceilingData) {
+  if (!ceilingData || typeof ceilingData.Metric?.Value !== 'number') return null;
+
+  // AccuWeather ceiling is already in meters
+  return ceilingData.Metric.Value;
+}
+
+/**
+ * Convert AccuWeather cloud cover to ratio (0-1)
+ * @param {number} cloudCover AccuWeather cloud cover percentage
+ * @returns {number|null} Cloud cover as ratio
+ */
+function convertAccuWeatherCloudCover(cloudCover) {
+  if (typeof cloudCover !== 'number') return null;
+
+  return percentageToRatio(cloudCover);
+}
+
+/**
+ * Convert AccuWeather UV index
+ * @param {number} uvIndex AccuWeather UV index
+ * @returns {number|null} UV index (dimensionless)
+ */
+function convertAccuWeatherUVIndex(uvIndex) {
+  if (typeof uvIndex !== 'number' || uvIndex < 0) return null;
+
+  return uvIndex;
+}
+
+/**
+ * Convert AccuWeather precipitation amount to meters
+ * @param {Object} precipData AccuWeather precipitation data
+ * @returns {number|null} Precipitation depth in meters
+ */
+function convertAccuWeatherPrecipitation(precipData) {
+  if (!precipData || typeof precipData.Metric?.Value !== 'number') return null;
+
+  // AccuWeather precipitation is in millimeters, convert to meters
+  return precipData.Metric.Value / 1000;
+}
+
+// AccuWeather pressure tendency codes
+const PRESSURE_TENDENCY_CODES = {
+  F: 'falling',
+  R: 'rising',
+  S: 'steady',
+};
+
+/**
+ * Convert AccuWeather pressure tendency to a normalized tendency
+ * @param {Object} tendencyData AccuWeather PressureTendency data ({ LocalizedText, Code })
+ * @returns {string|null} 'falling', 'rising' or 'steady'
+ */
+function convertAccuWeatherPressureTendency(tendencyData) {
+  if (!tendencyData || typeof tendencyData.Code !== 'string') return null;
+
+  return PRESSURE_TENDENCY_CODES[tendencyData.Code.toUpperCase()] || null;
+}
+
+// === Open-Meteo Conversions ===
+
+/**
+ * Convert Open-Meteo temperature to Kelvin
+ * @param {number} celsius Open-Meteo temperature in Celsius
+ * @returns {number|null} Temperature in Kelvin
+ */
+function convertOpenMeteoTemperature(celsius) {
+  if (typeof celsius !== 'number') return null;
+
+  return celsiusToKelvin(celsius);
+}
+
+/**
+ * Convert Open-Meteo pressure to Pascals
+ * @param {number} hectopascals Open-Meteo pressure in hPa (equivalent to millibars)
+ * @returns {number|null} Pressure in Pascals
+ */
+function convertOpenMeteoPressure(hectopascals) {
+  if (typeof hectopascals !== 'number') return null;
+
+  return millibarsToPA(hectopascals);
+}
+
+/**
+ * Convert Open-Meteo relative humidity to ratio (0-1)
+ * @param {number} percentage Open-Meteo humidity in percent
+ * @returns {number|null} Humidity as ratio
+ */
+function convertOpenMeteoHumidity(percentage) {
+  if (typeof percentage !== 'number') return null;
+
+  return percentageToRatio(percentage);
+}
+
+/**
+ * Convert Open-Meteo wind speed to m/s
+ * @param {number} kmh Open-Meteo wind speed in km/h (API default unit)
+ * @returns {number|null} Wind speed in m/s
+ */
+function convertOpenMeteoWindSpeed(kmh) {
+  if (typeof kmh !== 'number') return null;
+
+  return kmhToMS(kmh);
+}
+
+/**
+ * Convert Open-Meteo wind direction to radians
+ * @param {number} degrees Open-Meteo wind direction in degrees
+ * @returns {number|null} Wind direction in radians
+ */
+function convertOpenMeteoWindDirection(degrees) {
+  if (typeof degrees !== 'number') return null;
+
+  return degreesToRadians(degrees);
+}
+
+// WMO weather interpretation codes used by Open-Meteo
+const WMO_WEATHER_CODES = {
+  0: 'Clear sky',
+  1: 'Mainly clear',
+  2: 'Partly cloudy',
+  3: 'Overcast',
+  45: 'Fog',
+  48: 'Depositing rime fog',
+  51: 'Light drizzle',
+  53: 'Moderate drizzle',
+  55: 'Dense drizzle',
+  56: 'Light freezing drizzle',
+  57: 'Dense freezing drizzle',
+  61: 'Slight rain',
+  63: 'Moderate rain',
+  65: 'Heavy rain',
+  66: 'Light freezing rain',
+  67: 'Heavy freezing rain',
+  71: 'Slight snow fall',
+  73: 'Moderate snow fall',
+  75: 'Heavy snow fall',
+  77: 'Snow grains',
+  80: 'Slight rain showers',
+  81: 'Moderate rain showers',
+  82: 'Violent rain showers',
+  85: 'Slight snow showers',
+  86: 'Heavy snow showers',
+  95: 'Thunderstorm',
+  96: 'Thunderstorm with slight hail',
+  99: 'Thunderstorm with heavy hail',
+};
+
+/**
+ * Describe a WMO weather interpretation code
+ * @param {number} code WMO weather code
+ * @returns {string|null} Weather description
+ */
+function describeWmoWeatherCode(code) {
+  if (typeof code !== 'number') return null;
+
+  return WMO_WEATHER_CODES[code] || null;
+}
+
+// === NWS Conversions ===
+
+/**
+ * Read the numeric value of an NWS quantity value object
+ * @param {Object} quantity NWS quantity ({ unitCode, value })
+ * @returns {number|null} Raw value or null when missing
+ */
+function getNwsValue(quantity) {
+  if (!quantity || typeof quantity.value !== 'number') return null;
+  return quantity.value;
+}
+
+/**
+ * Convert NWS temperature to Kelvin
+ * @param {Object} quantity NWS temperature quantity (wmoUnit:degC or wmoUnit:degF)
+ * @returns {number|null} Temperature in Kelvin
+ */
+function convertNwsTemperature(quantity) {
+  const value = getNwsValue(quantity);
+  if (value === null) return null;
+
+  if (quantity.unitCode === 'wmoUnit:degF') {
+    return fahrenheitToKelvin(value);
+  }
+  return celsiusToKelvin(value);
+}
+
+/**
+ * Convert NWS pressure to Pascals
+ * @param {Object} quantity NWS pressure quantity (wmoUnit:Pa or wmoUnit:hPa)
+ * @returns {number|null} Pressure in Pascals
+ */
+function convertNwsPressure(quantity) {
+  const value = getNwsValue(quantity);
+  if (value === null) return null;
+
+  if (quantity.unitCode === 'wmoUnit:hPa') {
+    return millibarsToPA(value);
+  }
+  return value;
+}
+
+/**
+ * Convert NWS relative humidity to ratio (0-1)
+ * @param {Object} quantity NWS humidity quantity (wmoUnit:percent)
+ * @returns {number|null} Humidity as ratio
+ */
+function convertNwsHumidity(quantity) {
+  const value = getNwsValue(quantity);
+  if (value === null) return null;
+
+  return percentageToRatio(value);
+}
+
+/**
+ * Convert NWS wind speed to m/s
+ * @param {Object} quantity NWS speed quantity (wmoUnit:km_h-1 or wmoUnit:m_s-1)
+ * @returns {number|null} Wind speed in m/s
+ */
+function convertNwsWindSpeed(quantity) {
+  const value = getNwsValue(quantity);
+  if (value === null) return null;
+
+  if (quantity.unitCode === 'wmoUnit:m_s-1') {
+    return value;
+  }
+  return kmhToMS(value);
+}
+
+/**
+ * Convert NWS wind direction to radians
+ * @param {Object} quantity NWS angle quantity (wmoUnit:degree_(angle))
+ * @returns {number|null} Wind direction in radians
+ */
+function convertNwsWindDirection(quantity) {
+  const value = getNwsValue(quantity);
+  if (value === null) return null;
+
+  return degreesToRadians(value);
+}
+
 // === Validation Utilities ===
 
 /**
@@ -220,6 +509,27 @@ function normalizeAngle(radians) {
   return angle;
 }
 
+// === Position Utilities ===
+
+const EARTH_RADIUS_METERS = 6371000;
+
+/**
+ * Calculate the great-circle distance between two positions (haversine)
+ * @param {Object} from Position with latitude/longitude in degrees
+ * @param {Object} to Position with latitude/longitude in degrees
+ * @returns {number} Distance in meters
+ */
+function calculateDistance(from, to) {
+  const lat1 = degreesToRadians(from.latitude);
+  const lat2 = degreesToRadians(to.latitude);
+  const deltaLat = lat2 - lat1;
+  const deltaLon = degreesToRadians(to.longitude - from.longitude);
+
+  const a =
+    Math.sin(deltaLat / 2) ** 2 + Math.cos(lat1) * Math.cos(lat2) * Math.sin(deltaLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
 module.exports = {
   // Temperature conversions
   celsiusToKelvin,
@@ -227,6 +537,7 @@ module.exports = {
   kelvinToFahrenheit,
   fahrenheitToKelvin,
   convertAccuWeatherTemperature,
+  convertAccuWeatherForecastTemperature,
   // Pressure conversions
   millibarsToPA,
   convertAccuWeatherPressure,
@@ -237,13 +548,36 @@ module.exports = {
   kmhToMS,
   msToKMH,
   convertAccuWeatherWindSpeed,
+  convertAccuWeatherForecastWindSpeed,
   // Direction conversions
   degreesToRadians,
   radiansToDegrees,
   convertAccuWeatherWindDirection,
+  // Additional AccuWeather conversions
+  convertAccuWeatherVisibility,
+  convertAccuWeatherCeiling,
+  convertAccuWeatherCloudCover,
+  convertAccuWeatherUVIndex,
+  convertAccuWeatherPrecipitation,
+  convertAccuWeatherPressureTendency,
+  // Open-Meteo conversions
+  convertOpenMeteoTemperature,
+  convertOpenMeteoPressure,
+  convertOpenMeteoHumidity,
+  convertOpenMeteoWindSpeed,
+  convertOpenMeteoWindDirection,
+  describeWmoWeatherCode,
+  // NWS conversions
+  convertNwsTemperature,
+  convertNwsPressure,
+  convertNwsHumidity,
+  convertNwsWindSpeed,
+  convertNwsWindDirection,
   // Validation utilities
   isValidNumber,
   clamp,
   // Angle normalization
   normalizeAngle,
+  // Position utilities
+  calculateDistance,
 };
@@ -11,6 +11,8 @@ const {
   fahrenheitToKelvin,
   msToKMH,
   clamp,
+  isValidNumber,
+  normalizeAngle,
 } = require('./weather-utils');
 
 class WindCalculator {
@@ -19,72 +21,111 @@ class WindCalculator {
   }
 
   /**
-   * Calculate apparent wind speed using vector addition
-   * @param {number} trueWindSpeed - True wind speed in m/s
-   * @param {number} vesselSpeed - Vessel speed over ground in m/s
-   * @param {number} vesselHeading - Vessel heading in radians
-   * @param {number} trueWindDirection - True wind direction in radians
-   * @returns {number} Apparent wind speed in m/s
+   * Solve the wind triangle from the ground wind reported by a weather provider
+   *
+   * Wind directions are meteorological ("from", clockwise from true north) and vessel courses
+   * are the direction of travel, so both are converted to north/east velocity vectors first:
+   * - apparent wind = ground wind - vessel velocity over ground
+   * - water current = velocity over ground - velocity through water (along the heading)
+   * - wind over water = ground wind - water current
+   * Angles relative to the bow use the heading, never the course, and are negative to port.
+   *
+   * @param {Object} wind - Ground wind from the provider
+   * @param {number} wind.speed - Wind speed over ground in m/s
+   * @param {number} wind.direction - Direction the wind blows from, radians true
+   * @param {Object} vessel - Vessel motion
+   * @param {number} [vessel.speedOverGround] - Speed over ground in m/s
+   * @param {number} [vessel.courseOverGroundTrue] - Course over ground in radians true
+   * @param {number} [vessel.headingTrue] - Heading in radians true
+   * @param {number} [vessel.speedThroughWater] - Speed through water in m/s
+   * @returns {Object} Apparent wind, true wind angles to the bow and wind speed over water;
+   *   values that cannot be derived from the available inputs are null
    */
-  calculateApparentWindSpeed(trueWindSpeed, vesselSpeed, vesselHeading, trueWindDirection) {
-    if (typeof trueWindSpeed !== 'number' || typeof vesselSpeed !== 'number') {
-      return trueWindSpeed || 0;
+  calculateWindTriangle(wind, vessel = {}) {
+    const result = {
+      apparentWindSpeed: null,
+      apparentWindAngle: null,
+      trueWindAngleGround: null,
+      trueWindAngleWater: null,
+      trueWindSpeedWater: null,
+    };
+
+    if (!isValidNumber(wind.speed) || !isValidNumber(wind.direction)) {
+      return result;
     }
 
-    // Convert wind direction to vector components
-    const trueWindX = trueWindSpeed * Math.cos(trueWindDirection);
-    const trueWindY = trueWindSpeed * Math.sin(trueWindDirection);
+    const groundWind = this.toWindVector(wind.speed, wind.direction);
+    const heading = isValidNumber(vessel.headingTrue) ? vessel.headingTrue : null;
 
-    // Convert vessel velocity to vector components
-    const vesselX = vesselSpeed * Math.cos(vesselHeading);
-    const vesselY = vesselSpeed * Math.sin(vesselHeading);
-
-    // Calculate apparent wind vector (true wind - vessel velocity)
-    const apparentWindX = trueWindX - vesselX;
-    const apparentWindY = trueWindY - vesselY;
+    if (heading !== null) {
+      result.trueWindAngleGround = normalizeAngle(wind.direction - heading);
+    }
 
-    // Calculate apparent wind speed from vector components
-    const apparentWindSpeed = Math.sqrt(apparentWindX ** 2 + apparentWindY ** 2);
+    // Apparent wind needs the vessel's motion over ground
+    if (isValidNumber(vessel.speedOverGround) && isValidNumber(vessel.courseOverGroundTrue)) {
+      const overGround = this.toMotionVector(vessel.speedOverGround, vessel.courseOverGroundTrue);
+      const apparent = {
+        north: groundWind.north - overGround.north,
+        east: groundWind.east - overGround.east,
+      };
+
+      result.apparentWindSpeed = Math.hypot(apparent.north, apparent.east);
+      if (heading !== null) {
+        result.apparentWindAngle = normalizeAngle(this.fromDirection(apparent) - heading);
+      }
+
+      // Wind over water removes the current; without speed through water assume there is none
+      if (isValidNumber(vessel.speedThroughWater) && heading !== null) {
+        const throughWater = this.toMotionVector(vessel.speedThroughWater, heading);
+        const waterWind = {
+          north: apparent.north + throughWater.north,
+          east: apparent.east + throughWater.east,
+        };
+
+        result.trueWindSpeedWater = Math.hypot(waterWind.north, waterWind.east);
+        result.trueWindAngleWater = normalizeAngle(this.fromDirection(waterWind) - heading);
+        return result;
+      }
+    }
 
-    return apparentWindSpeed;
+    result.trueWindSpeedWater = wind.speed;
+    result.trueWindAngleWater = result.trueWindAngleGround;
+    return result;
   }
 
   /**
-   * Calculate apparent wind angle relative to vessel heading
-   * @param {number} trueWindSpeed - True wind speed in m/s
-   * @param {number} vesselSpeed - Vessel speed over ground in m/s
-   * @param {number} vesselHeading - Vessel heading in radians
-   * @param {number} trueWindDirection - True wind direction in radians
-   * @returns {number} Apparent wind angle relative to bow in radians
+   * Convert a meteorological wind ("from" direction) to the velocity of the moving air
+   * @param {number} speed - Wind speed in m/s
+   * @param {number} fromDirection - Direction the wind blows from, radians
+   * @returns {Object} Velocity vector ({ north, east }) in m/s
    */
-  calculateApparentWindAngle(trueWindSpeed, vesselSpeed, vesselHeading, trueWindDirection) {
-    if (typeof trueWindSpeed !== 'number' || typeof vesselSpeed !== 'number') {
-      return trueWindDirection - vesselHeading;
-    }
-
-    // Convert wind direction to vector components
-    const trueWindX = trueWindSpeed * Math.cos(trueWindDirection);
-    const trueWindY = trueWindSpeed * Math.sin(trueWindDirection);
-
-    // Convert vessel velocity to vector components
-    const vesselX = vesselSpeed * Math.cos(vesselHeading);
-    const vesselY = vesselSpeed * Math.sin(vesselHeading);
-
-    // Calculate apparent wind vector (true wind - vessel velocity)
-    const apparentWindX = trueWindX - vesselX;
-    const apparentWindY = trueWindY - vesselY;
-
-    // Calculate apparent wind direction
-    const apparentWindDirection = Math.atan2(apparentWindY, apparentWindX);
-
-    // Calculate angle relative to vessel heading
-    let relativeAngle = apparentWindDirection - vesselHeading;
+  toWindVector(speed, fromDirection) {
+    return {
+      north: -speed * Math.cos(fromDirection),
+      east: -speed * Math.sin(fromDirection),
+    };
+  }
 
-    // Normalize to -π to π
-    while (relativeAngle > Math.PI) relativeAngle -= 2 * Math.PI;
-    while (relativeAngle < -Math.PI) relativeAngle += 2 * Math.PI;
+  /**
+   * Convert a vessel speed and course (direction of travel) to a velocity vector
+   * @param {number} speed - Speed in m/s
+   * @param {number} course - Direction of travel, radians
+   * @returns {Object} Velocity vector ({ north, east }) in m/s
+   */
+  toMotionVector(speed, course) {
+    return {
+      north: speed * Math.cos(course),
+      east: speed * Math.sin(course),
+    };
+  }
 
-    return relativeAngle;
+  /**
+   * Get the direction an air velocity vector blows from
+   * @param {Object} vector - Velocity vector ({ north, east })
+   * @returns {number} "From" direction in radians
+   */
+  fromDirection(vector) {
+    return Math.atan2(-vector.east, -vector.north);
   }
 
   /**
@@ -171,6 +212,30 @@ class WindCalculator {
     return fahrenheitToKelvin(heatIndex);
   }
 
+  /**
+   * Calculate apparent (feels-like) temperature
+   * Uses wind chill when it is colder than the air, heat index when it is warmer
+   * @param {number} temperatureK - Air temperature in Kelvin
+   * @param {number} windChillK - Wind chill temperature in Kelvin
+   * @param {number} heatIndexK - Heat index in Kelvin
+   * @returns {number} Apparent temperature in Kelvin
+   */
+  calculateApparentTemperature(temperatureK, windChillK, heatIndexK) {
+    if (typeof temperatureK !== 'number') {
+      return temperatureK;
+    }
+
+    if (typeof windChillK === 'number' && windChillK < temperatureK) {
+      return windChillK;
+    }
+
+    if (typeof heatIndexK === 'number' && heatIndexK > temperatureK) {
+      return heatIndexK;
+    }
+
+    return temperatureK;
+  }
+
   /**
    * Calculate dew point temperature
    * @param {number} temperatureK - Air temperature in Kelvin
@@ -0,0 +1,135 @@
+/**
+ * Zambretti Forecaster
+ * Offline short-range forecast from sea-level pressure, pressure tendency and wind direction
+ * Based on the Negretti & Zambra "Zambretti" forecaster
+ */
+
+const { radiansToDegrees } = require('./weather-utils');
+
+// Forecast texts, letters A to Z
+const FORECASTS = [
+  'Settled fine',
+  'Fine weather',
+  'Becoming fine',
+  'Fine, becoming less settled',
+  'Fine, possible showers',
+  'Fairly fine, improving',
+  'Fairly fine, possible showers early',
+  'Fairly fine, showery later',
+  'Showery early, improving',
+  'Changeable, mending',
+  'Fairly fine, showers likely',
+  'Rather unsettled, clearing later',
+  'Unsettled, probably improving',
+  'Showery, bright intervals',
+  'Showery, becoming less settled',
+  'Changeable, some rain',
+  'Unsettled, short fine intervals',
+  'Unsettled, rain later',
+  'Unsettled, some rain',
+  'Mostly very unsettled',
+  'Occasional rain, worsening',
+  'Rain at times, very unsettled',
+  'Rain at frequent intervals',
+  'Rain, very unsettled',
+  'Stormy, may improve',
+  'Stormy, much rain',
+];
+
+// Forecast index per pressure band (lowest pressure first) for each tendency
+const RISING_OPTIONS = [25, 25, 25, 24, 24, 19, 16, 12, 11, 9, 8, 6, 5, 2, 1, 1, 0, 0, 0, 0, 0, 0];
+const STEADY_OPTIONS = [
+  25, 25, 25, 25, 25, 25, 23, 23, 22, 18, 15, 13, 10, 4, 1, 1, 0, 0, 0, 0, 0, 0,
+];
+const FALLING_OPTIONS = [
+  25, 25, 25, 25, 25, 25, 25, 25, 23, 23, 21, 20, 17, 14, 7, 3, 1, 1, 1, 0, 0, 0,
+];
+
+// Pressure adjustment (% of range) for wind from each 16-point compass direction, N first
+// Values are for the northern hemisphere; the southern hemisphere is mirrored
+const WIND_ADJUSTMENTS = [6, 5, 5, 2, -0.5, -2, -5, -8.5, -12, -10, -6, -4.5, -3, -0.5, 1.5, 3];
+
+const BARO_TOP = 1050; // hPa
+const BARO_BOTTOM = 950; // hPa
+const BARO_RANGE = BARO_TOP - BARO_BOTTOM;
+
+// 3-hour pressure change (hPa) below which the tendency is considered steady
+const STEADY_THRESHOLD_3H = 1.6;
+
+/**
+ * Classify a 3-hour pressure rate of change as a tendency
+ * @param {number|null} rate3h Pressure rate of change in Pa/s
+ * @returns {string|null} 'rising', 'falling' or 'steady'
+ */
+function classifyTendency(rate3h) {
+  if (typeof rate3h !== 'number' || !Number.isFinite(rate3h)) {
+    return null;
+  }
+
+  const change3hHpa = (rate3h * 3 * 3600) / 100;
+  if (change3hHpa >= STEADY_THRESHOLD_3H) return 'rising';
+  if (change3hHpa <= -STEADY_THRESHOLD_3H) return 'falling';
+  return 'steady';
+}
+
+/**
+ * Calculate the Zambretti forecast
+ * @param {Object} input Forecast input
+ * @param {number} input.pressure Sea-level pressure in Pascals
+ * @param {string} input.tendency 'rising', 'falling' or 'steady'
+ * @param {number} [input.windDirection] True wind direction (from) in radians
+ * @param {number} [input.latitude] Latitude in degrees (hemisphere selection)
+ * @param {Date} [input.date] Date used for the season adjustment
+ * @returns {Object|null} Forecast ({ letter, text }) or null if inputs are missing
+ */
+function zambrettiForecast({ pressure, tendency, windDirection, latitude, date = new Date() }) {
+  if (typeof pressure !== 'number' || !Number.isFinite(pressure) || !tendency) {
+    return null;
+  }
+
+  const northern = typeof latitude !== 'number' || latitude >= 0;
+  let hpa = pressure / 100;
+
+  // Wind direction adjustment
+  if (typeof windDirection === 'number' && Number.isFinite(windDirection)) {
+    const degrees = ((radiansToDegrees(windDirection) % 360) + 360) % 360;
+    let point = Math.round(degrees / 22.5) % 16;
+    if (!northern) {
+      point = (point + 8) % 16;
+    }
+    hpa += (WIND_ADJUSTMENTS[point] / 100) * BARO_RANGE;
+  }
+
+  // Summer adjustment - April to September in the north, October to March in the south
+  const month = date.getUTCMonth() + 1;
+  const summer = northern ? month >= 4 && month <= 9 : month <= 3 || month >= 10;
+  if (summer) {
+    if (tendency === 'rising') hpa += (7 / 100) * BARO_RANGE;
+    if (tendency === 'falling') hpa -= (7 / 100) * BARO_RANGE;
+  }
+
+  if (hpa >= BARO_TOP) {
+    hpa = BARO_TOP - 1;
+  }
+
+  const band = Math.min(21, Math.max(0, Math.floor((hpa - BARO_BOTTOM) / (BARO_RANGE / 22))));
+
+  let index;
+  if (tendency === 'rising') {
+    index = RISING_OPTIONS[band];
+  } else if (tendency === 'falling') {
+    index = FALLING_OPTIONS[band];
+  } else {
+    index = STEADY_OPTIONS[band];
+  }
+
+  return {
+    letter: String.fromCharCode(65 + index),
+    text: FORECASTS[index],
+  };
+}
+
+module.exports = {
+  classifyTendency,
+  zambrettiForecast,
+};
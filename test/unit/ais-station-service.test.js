@@ -0,0 +1,80 @@
+const assert = require('node:assert/strict');
+const { describe, it } = require('node:test');
+const AisStationService = require('../../src/ais-station-service');
+
+const VESSEL = { latitude: 50, longitude: 0 };
+
+/**
+ * Create a fresh station reading
+ * @param {number} value Reading value
+ * @returns {Object} Reading ({ value, timestamp })
+ */
+function reading(value) {
+  return { value, timestamp: new Date().toISOString() };
+}
+
+/**
+ * Create the provider over a fixed set of AIS weather stations
+ * @param {Array<Object>} stations Stations as returned by SignalKClient.getMeteoStations
+ * @returns {AisStationService} Provider
+ */
+function createService(stations) {
+  return new AisStationService({ signalkClient: { getMeteoStations: () => stations } });
+}
+
+describe('AisStationService.fetchCurrentWeather', () => {
+  const nearest = {
+    id: 'urn:mrn:imo:mmsi:992351001',
+    name: 'Harbour entrance',
+    position: { latitude: 50.001, longitude: 0 },
+    values: {
+      'environment.wind.averageSpeed': reading(3),
+      'environment.outside.pressure': reading(101200),
+    },
+  };
+  const directionOnly = {
+    id: 'urn:mrn:imo:mmsi:992351002',
+    name: 'Breakwater',
+    position: { latitude: 50.01, longitude: 0 },
+    values: { 'environment.wind.directionTrue': reading(1) },
+  };
+  const complete = {
+    id: 'urn:mrn:imo:mmsi:992351003',
+    name: 'Lighthouse',
+    position: { latitude: 50.05, longitude: 0 },
+    values: {
+      'environment.wind.speedTrue': reading(9),
+      'environment.wind.directionTrue': reading(2),
+      'environment.outside.temperature': reading(290),
+    },
+  };
+
+  it('takes wind speed and direction from the nearest station reporting both', async () => {
+    const weatherData = await createService([nearest, directionOnly, complete]).fetchCurrentWeather(
+      VESSEL
+    );
+
+    assert.equal(weatherData.windSpeed, 9);
+    assert.equal(weatherData.windDirection, 2);
+    assert.equal(weatherData.windStationId, complete.id);
+    assert.equal(weatherData.windStationName, 'Lighthouse');
+  });
+
+  it('still takes other fields from the nearest station reporting them', async () => {
+    const weatherData = await createService([nearest, directionOnly, complete]).fetchCurrentWeather(
+      VESSEL
+    );
+
+    assert.equal(weatherData.pressure, 101200);
+    assert.equal(weatherData.temperature, 290);
+    assert.equal(weatherData.stationId, nearest.id);
+  });
+
+  it('leaves wind empty when no station reports both speed and direction', async () => {
+    const weatherData = await createService([nearest, directionOnly]).fetchCurrentWeather(VESSEL);
+
+    assert.equal(weatherData.windSpeed, null);
+    assert.equal(weatherData.windDirection, null);
+    assert.equal(weatherData.windStationId, null);
+  });
+});
@@ -0,0 +1,102 @@
+const assert = require('node:assert/strict');
+const { afterEach, beforeEach, describe, it, mock } = require('node:test');
+const WeatherService = require('../../src/weather-service');
+const createPlugin = require('../../plugin');
+
+const EMISSION_INTERVAL = 5000;
+
+/**
+ * Create a minimal SignalK app whose onboard sensors publish the given paths
+ * @param {Object} sensorValues Sensor values by SignalK path
+ * @returns {Object} Mock app collecting deltas and bus output
+ */
+function createApp(sensorValues) {
+  const app = {
+    deltas: [],
+    pgns: [],
+    sentences: [],
+    debug: () => {},
+    error: () => {},
+    setPluginStatus: () => {},
+    setPluginError: () => {},
+    getPath: () => undefined,
+    getSelfPath: (path) =>
+      path in sensorValues
+        ? { value: sensorValues[path], $source: 'can0.1', timestamp: new Date().toISOString() }
+        : undefined,
+    handleMessage: (_id, delta) => app.deltas.push(delta),
+    emit: (event, data) => {
+      if (event === 'nmea2000JsonOut') {
+        app.pgns.push(data);
+      } else if (event === 'nmea0183out') {
+        app.sentences.push(data);
+      }
+    },
+  };
+  return app;
+}
+
+describe('gap-fill output mode', () => {
+  let app;
+  let plugin;
+
+  beforeEach(() => {
+    mock.timers.enable({ apis: ['setTimeout', 'setInterval'] });
+    mock.method(WeatherService.prototype, 'start', () => {});
+    mock.method(WeatherService.prototype, 'checkFetchSchedule', () => {});
+    mock.method(WeatherService.prototype, 'checkLocationSchedule', () => {});
+    mock.method(WeatherService.prototype, 'getCurrentWeatherData', () => ({
+      windSpeed: 8,
+      windDirection: Math.PI / 2,
+      trueWindSpeedWater: 9,
+      trueWindAngleWater: 0.5,
+      temperature: 288.15,
+      pressure: 101325,
+      timestamp: new Date().toISOString(),
+    }));
+
+    // Only the instrument's true wind over water is live onboard
+    app = createApp({ 'environment.wind.speedTrue': 9.5 });
+    plugin = createPlugin(app);
+    plugin.start({
+      weatherProvider: 'open-meteo',
+      outputMode: 'gapFill',
+      registerWeatherApi: false,
+      historyRetentionDays: 0,
+      enableN2kOutput: true,
+      enableNmea0183Output: true,
+    });
+    mock.timers.tick(EMISSION_INTERVAL);
+  });
+
+  afterEach(async () => {
+    await plugin.stop();
+    mock.timers.reset();
+    mock.restoreAll();
+  });
+
+  it('keeps the ground wind when only the water-referenced true wind is live', () => {
+    const paths = app.deltas.flatMap((delta) => delta.updates[0].values.map(({ path }) => path));
+    assert.ok(!paths.includes('environment.wind.speedTrue'));
+    assert.ok(paths.includes('environment.wind.speedOverGround'));
+    assert.ok(paths.includes('environment.wind.directionTrue'));
+  });
+
+  it('sends PGN 130306 ground wind', () => {
+    const wind = app.pgns.find((pgn) => pgn.pgn === 130306);
+    assert.ok(wind);
+    assert.equal(wind.fields['Wind Speed'], 8);
+  });
+
+  it('sends MWD and the MDA wind fields but not the water-referenced MWV', () => {
+    assert.ok(app.sentences.some((sentence) => /^\$WIMWD,/.test(sentence)));
+
+    const mda = app.sentences.find((sentence) => /^\$WIMDA,/.test(sentence));
+    assert.ok(mda);
+    const fields = mda.split('*')[0].split(',');
+    assert.equal(fields[13], '90.0');
+    assert.equal(fields[19], '8.0');
+
+    assert.ok(!app.sentences.some((sentence) => /^\$WIMWV,[\d.]+,T,/.test(sentence)));
+  });
+});
@@ -0,0 +1,19 @@
+const assert = require('node:assert/strict');
+const { describe, it } = require('node:test');
+const NMEA0183Encoder = require('../../src/nmea0183-encoder');
+
+const encoder = new NMEA0183Encoder({ sentences: ['MWV'] });
+
+describe('NMEA0183Encoder.encodeMwv', () => {
+  it('sends true wind but never the synthetic apparent wind', () => {
+    const sentences = encoder.encode({
+      apparentWindSpeed: 10,
+      apparentWindAngle: 0.5,
+      trueWindSpeedWater: 8,
+      trueWindAngleWater: 0.7,
+    });
+
+    assert.equal(sentences.length, 1);
+    assert.match(sentences[0], /^\$WIMWV,40\.1,T,15\.6,N,A\*[0-9A-F]{2}$/);
+  });
+});
@@ -0,0 +1,34 @@
+const assert = require('node:assert/strict');
+const { describe, it } = require('node:test');
+const NMEA2000Encoder = require('../../src/nmea2000-encoder');
+
+const encoder = new NMEA2000Encoder();
+
+/**
+ * Find a PGN in an encoder result
+ * @param {Array<Object>} pgns Encoded PGNs
+ * @param {number} pgn PGN number
+ * @returns {Object|undefined} Matching PGN
+ */
+function findPgn(pgns, pgn) {
+  return pgns.find((message) => message.pgn === pgn);
+}
+
+describe('NMEA2000Encoder atmospheric pressure', () => {
+  const pgns = encoder.encode(
+    { pressure: 101325, temperature: 288.15, timestamp: '2026-10-19T12:00:00Z' },
+    { latitude: 52, longitude: 4 }
+  );
+
+  it('sends 130311 Environmental Parameters pressure in Pa', () => {
+    assert.equal(findPgn(pgns, 130311).fields['Atmospheric Pressure'], 101325);
+  });
+
+  it('sends 130314 Actual Pressure in Pa', () => {
+    assert.equal(findPgn(pgns, 130314).fields.Pressure, 101325);
+  });
+
+  it('sends 130323 Meteorological Station Data pressure in Pa', () => {
+    assert.equal(findPgn(pgns, 130323).fields['Atmospheric Pressure'], 101325);
+  });
+});
@@ -0,0 +1,104 @@
+const assert = require('node:assert/strict');
+const { describe, it } = require('node:test');
+const WindCalculator = require('../../src/wind-calculator');
+
+const calculator = new WindCalculator();
+
+// Compass directions in radians true
+const NORTH = 0;
+const EAST = Math.PI / 2;
+const SOUTH = Math.PI;
+const WEST = (3 * Math.PI) / 2;
+
+/**
+ * Assert two numbers are equal within a tolerance
+ * @param {number} actual Actual value
+ * @param {number} expected Expected value
+ * @param {number} [tolerance] Allowed difference
+ */
+function assertClose(actual, expected, tolerance = 1e-9) {
+  assert.ok(
+    Math.abs(actual - expected) <= tolerance,
+    `expected ${actual} to be within ${tolerance} of ${expected}`
+  );
+}
+
+describe('WindCalculator.calculateWindTriangle', () => {
+  it('adds vessel speed to a head wind', () => {
+    const result = calculator.calculateWindTriangle(
+      { speed: 10, direction: NORTH },
+      { speedOverGround: 5, courseOverGroundTrue: NORTH, headingTrue: NORTH }
+    );
+
+    assertClose(result.apparentWindSpeed, 15);
+    assertClose(result.apparentWindAngle, 0);
+    assertClose(result.trueWindAngleGround, 0);
+  });
+
+  it('subtracts vessel speed from a tail wind', () => {
+    const result = calculator.calculateWindTriangle(
+      { speed: 10, direction: SOUTH },
+      { speedOverGround: 5, courseOverGroundTrue: NORTH, headingTrue: NORTH }
+    );
+
+    assertClose(result.apparentWindSpeed, 5);
+    assertClose(Math.abs(result.apparentWindAngle), Math.PI);
+    assertClose(Math.abs(result.trueWindAngleGround), Math.PI);
+  });
+
+  it('reports a beam wind positive to starboard and negative to port', () => {
+    const vessel = { speedOverGround: 10, courseOverGroundTrue: NORTH, headingTrue: NORTH };
+
+    const starboard = calculator.calculateWindTriangle({ speed: 10, direction: EAST }, vessel);
+    assertClose(starboard.apparentWindSpeed, 10 * Math.SQRT2);
+    assertClose(starboard.apparentWindAngle, Math.PI / 4);
+    assertClose(starboard.trueWindAngleGround, Math.PI / 2);
+
+    const port = calculator.calculateWindTriangle({ speed: 10, direction: WEST }, vessel);
+    assertClose(port.apparentWindSpeed, 10 * Math.SQRT2);
+    assertClose(port.apparentWindAngle, -Math.PI / 4);
+    assertClose(port.trueWindAngleGround, -Math.PI / 2);
+  });
+
+  it('measures angles from the heading when it differs from the course (leeway)', () => {
+    const leeway = 0.2;
+    const result = calculator.calculateWindTriangle(
+      { speed: 10, direction: NORTH },
+      { speedOverGround: 5, courseOverGroundTrue: NORTH, headingTrue: leeway }
+    );
+
+    // Over ground the wind is dead ahead; the bow points 0.2 rad to starboard of it
+    assertClose(result.apparentWindSpeed, 15);
+    assertClose(result.apparentWindAngle, -leeway);
+    assertClose(result.trueWindAngleGround, -leeway);
+  });
+
+  it('removes a cross current from the wind over water', () => {
+    // Heading north at 5 m/s through the water, set east by a 2 m/s current
+    const result = calculator.calculateWindTriangle(
+      { speed: 10, direction: NORTH },
+      {
+        speedOverGround: Math.hypot(5, 2),
+        courseOverGroundTrue: Math.atan2(2, 5),
+        headingTrue: NORTH,
+        speedThroughWater: 5,
+      }
+    );
+
+    // Relative to the water the air moves south and west, so it comes from the starboard bow
+    assertClose(result.apparentWindSpeed, Math.hypot(15, 2));
+    assertClose(result.trueWindSpeedWater, Math.hypot(10, 2));
+    assertClose(result.trueWindAngleWater, Math.atan2(2, 10));
+    assertClose(result.trueWindAngleGround, 0);
+  });
+
+  it('uses the ground wind over water when speed through water is unknown', () => {
+    const result = calculator.calculateWindTriangle(
+      { speed: 10, direction: EAST },
+      { speedOverGround: 5, courseOverGroundTrue: NORTH, headingTrue: NORTH }
+    );
+
+    assert.equal(result.trueWindSpeedWater, 10);
+    assertClose(result.trueWindAngleWater, Math.PI / 2);
+  });
+});